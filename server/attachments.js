@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { GridFSBucket, ObjectId } = require('mongodb');
+
+// ── Attachment store ─────────────────────────────────────────────────────────
+// Binary blobs (chat images, generated images, uploaded datasets) live outside
+// the message documents. Two interchangeable backends:
+//   • GridFS (default) — the `attachments` bucket in the same database
+//   • filesystem       — ATTACHMENT_STORE=fs, files under ATTACHMENT_DIR,
+//                        metadata in the `attachments` collection
+// Both expose put / info / open / remove with ids as hex strings.
+
+function gridFsStore(db) {
+  const bucket = new GridFSBucket(db, { bucketName: 'attachments' });
+  const files = db.collection('attachments.files');
+
+  return {
+    put(buffer, { mimeType, name, username }) {
+      return new Promise((resolve, reject) => {
+        const upload = bucket.openUploadStream(name || 'attachment', {
+          metadata: { mimeType, username },
+        });
+        upload.once('finish', () => resolve(upload.id.toString()));
+        upload.once('error', reject);
+        upload.end(buffer);
+      });
+    },
+
+    async info(id) {
+      const f = await files.findOne({ _id: new ObjectId(id) });
+      return f && {
+        id,
+        name: f.filename,
+        mimeType: f.metadata?.mimeType || 'application/octet-stream',
+        size: f.length,
+        username: f.metadata?.username,
+      };
+    },
+
+    open(id) {
+      return bucket.openDownloadStream(new ObjectId(id));
+    },
+
+    async remove(id) {
+      try {
+        await bucket.delete(new ObjectId(id));
+      } catch { /* already gone */ }
+    },
+  };
+}
+
+function fileSystemStore(db, dir) {
+  const meta = db.collection('attachments');
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = (id) => path.join(dir, String(id));
+
+  return {
+    async put(buffer, { mimeType, name, username }) {
+      const _id = new ObjectId();
+      await fs.promises.writeFile(filePath(_id), buffer);
+      await meta.insertOne({
+        _id,
+        name: name || 'attachment',
+        mimeType,
+        size: buffer.length,
+        username,
+        createdAt: new Date().toISOString(),
+      });
+      return _id.toString();
+    },
+
+    async info(id) {
+      const f = await meta.findOne({ _id: new ObjectId(id) });
+      return f && { id, name: f.name, mimeType: f.mimeType, size: f.size, username: f.username };
+    },
+
+    open(id) {
+      return fs.createReadStream(filePath(id));
+    },
+
+    async remove(id) {
+      await meta.deleteOne({ _id: new ObjectId(id) });
+      await fs.promises.rm(filePath(id), { force: true });
+    },
+  };
+}
+
+function createAttachmentStore(db) {
+  const store = process.env.ATTACHMENT_STORE === 'fs'
+    ? fileSystemStore(db, process.env.ATTACHMENT_DIR || path.join(__dirname, 'data', 'attachments'))
+    : gridFsStore(db);
+
+  // Reads a whole attachment into memory (datasets, migrations).
+  store.read = async (id) => {
+    const chunks = [];
+    for await (const chunk of store.open(id)) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  };
+
+  return store;
+}
+
+module.exports = { createAttachmentStore };
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// ── Signed auth tokens ───────────────────────────────────────────────────────
+// Compact HMAC-SHA256 tokens in JWT layout (header.payload.signature), so any
+// JWT debugger can read them. The secret comes from AUTH_SECRET; without it a
+// random one is generated at startup, which logs everyone out on restart.
+
+const TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+let SECRET = process.env.AUTH_SECRET;
+if (!SECRET) {
+  SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('AUTH_SECRET not set — using a random secret; sessions will not survive a restart');
+}
+
+const b64url = (input) => Buffer.from(input).toString('base64url');
+
+const sign = (data) => crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+
+const HEADER = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+
+function signToken(username) {
+  const now = Date.now();
+  const exp = now + TOKEN_TTL_MS;
+  const payload = b64url(JSON.stringify({ sub: username, iat: Math.floor(now / 1000), exp: Math.floor(exp / 1000) }));
+  const body = `${HEADER}.${payload}`;
+  return { token: `${body}.${sign(body)}`, expiresAt: new Date(exp).toISOString() };
+}
+
+// Returns the token payload, or null when the token is malformed, forged or expired.
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+  const [header, payload, signature] = token.split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.sub || !claims.exp || claims.exp * 1000 < Date.now()) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+// ── Express middleware ───────────────────────────────────────────────────────
+// Reads "Authorization: Bearer <token>" and puts the username on req.user.
+
+function requireAuth(req, res, next) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return res.status(401).json({ error: 'Authentication required' });
+  const claims = verifyToken(match[1]);
+  if (!claims) return res.status(401).json({ error: 'Session expired — please log in again' });
+  req.user = { username: claims.sub };
+  next();
+}
+
+module.exports = { signToken, verifyToken, requireAuth };
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { summarizeConversation } = require('./providers');
+
+// ── Context-window manager ───────────────────────────────────────────────────
+// Builds what the model sees of a session for one turn, from the messages
+// collection rather than from whatever the browser happens to have loaded:
+//   • recent turns verbatim, newest first, until the token budget is used up
+//   • everything older folded into a rolling summary stored on the session
+//     (`contextSummary: { text, through, updatedAt }`), extended as turns age out
+//   • dataset blocks (schema summaries, slim CSV, sample titles) sent only when
+//     the model hasn't seen them — i.e. they changed, or the message that
+//     carried them has left the verbatim window. `contextBlocks.<key>` on the
+//     session records { hash, messageId } for each block.
+
+const CONTEXT_TOKENS = parseInt(process.env.AI_CONTEXT_TOKENS, 10) || 12000;
+const MIN_RECENT_MESSAGES = 4;
+const BLOCK_SEPARATOR = '\n\n---\n\n';
+
+// Rough estimate (~4 characters per token) — close enough for budgeting
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// What the model saw for a stored message: the prompt with its dataset blocks
+// when one was recorded, otherwise the displayed content.
+const turnText = (m) => m.modelPrompt || m.content || '';
+
+const hashBlock = (text) => crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+
+async function recentMessages(messages, sessionId, before) {
+  const query = { sessionId, ...(before && { _id: { $lt: before } }) };
+  const cursor = messages
+    .find(query, { projection: { role: 1, content: 1, modelPrompt: 1 } })
+    .sort({ _id: -1 });
+
+  const recent = [];
+  let tokens = 0;
+  for await (const m of cursor) {
+    const t = estimateTokens(turnText(m));
+    if (recent.length >= MIN_RECENT_MESSAGES && tokens + t > CONTEXT_TOKENS) break;
+    recent.unshift(m);
+    tokens += t;
+  }
+  // Chat history has to open with a user turn; a leading model turn goes to the summary
+  while (recent.length && recent[0].role !== 'user') recent.shift();
+  return recent;
+}
+
+// Extends the session's rolling summary with the messages between its end and `cutoff`.
+async function rollingSummary(db, session, cutoff, provider) {
+  const summary = session.contextSummary || null;
+  const range = { $lt: cutoff, ...(summary?.through && { $gt: summary.through }) };
+  const aged = await db
+    .collection('messages')
+    .find({ sessionId: session._id, _id: range }, { projection: { role: 1, content: 1 } })
+    .sort({ _id: 1 })
+    .toArray();
+  if (!aged.length) return summary?.text || '';
+
+  // A failed summary call shouldn't fail the turn: keep the old summary and fold these messages in next time
+  let text;
+  try {
+    text = await summarizeConversation(
+      provider,
+      summary?.text || '',
+      aged.map((m) => ({ role: m.role, content: m.content || '' }))
+    );
+  } catch (err) {
+    console.warn('Conversation summary failed, keeping the previous one:', err.message);
+    return summary?.text || '';
+  }
+  await db.collection('sessions').updateOne(
+    { _id: session._id },
+    { $set: { contextSummary: { text, through: aged[aged.length - 1]._id, updatedAt: new Date().toISOString() } } }
+  );
+  return text;
+}
+
+// messageId: the user message this turn answers (already saved); history ends before it.
+// blocks: [{ key, text }] dataset blocks for this turn; provider writes the rolling summary.
+// Returns { history, summary, message } — `message` carries the blocks that need sending.
+async function buildContext(db, { session, provider, messageId, message, blocks = [] }) {
+  const messages = db.collection('messages');
+  const recent = await recentMessages(messages, session._id, messageId);
+  const cutoff = recent[0]?._id || messageId;
+  const summary = cutoff ? await rollingSummary(db, session, cutoff, provider) : '';
+
+  const windowStart = recent[0]?._id.toString();
+  const seen = session.contextBlocks || {};
+  const toSend = [];
+  const updates = {};
+  for (const { key, text } of blocks) {
+    if (!text || !/^\w+$/.test(key)) continue;
+    const hash = hashBlock(text);
+    const prev = seen[key];
+    const inWindow = prev?.hash === hash && windowStart && prev.messageId >= windowStart;
+    if (inWindow) continue;
+    toSend.push(text);
+    if (messageId) updates[`contextBlocks.${key}`] = { hash, messageId: messageId.toString() };
+  }
+
+  if (toSend.length && messageId) {
+    await db.collection('sessions').updateOne({ _id: session._id }, { $set: updates });
+    // Keep what the model saw with the message, so later turns replay the blocks verbatim
+    const stored = await messages.findOne({ _id: messageId }, { projection: { content: 1 } });
+    if (stored) {
+      await messages.updateOne(
+        { _id: messageId },
+        { $set: { modelPrompt: [...toSend, stored.content || ''].join(BLOCK_SEPARATOR) } }
+      );
+    }
+  }
+
+  return {
+    history: recent.map((m) => ({ role: m.role, content: turnText(m) })),
+    summary,
+    message: [...toSend, message].join(BLOCK_SEPARATOR),
+  };
+}
+
+module.exports = { buildContext };
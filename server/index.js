@@ -1,22 +1,47 @@
+// The tool modules shared with the client are ES modules, which require() only loads from Node 20.19 on
+if (!process.features.require_module) {
+  console.error(`Node.js 20.19 or newer is required (running ${process.version}); see "engines" in package.json.`);
+  process.exit(1);
+}
+
 require('dotenv').config();
 const express = require('express');
 const { MongoClient, ObjectId } = require('mongodb');
 const bcrypt = require('bcryptjs');
 const cors = require('cors');
+const crypto = require('crypto');
+const { signToken, requireAuth } = require('./auth');
+const { DEFAULT_PROVIDER, availableProviders, providerFor, runToolLoop } = require('./providers');
+const { toolDeclarations, canRunOnServer, executeOnServer } = require('./tools');
+const { buildContext } = require('./context');
+const { classifyLocally, routePrompt, parseRouteReply } = require('../src/services/intentRouter.js');
+const { enrichVideos } = require('../src/services/jsonTools.js');
+const { runMigrations } = require('./migrations');
+const { createAttachmentStore } = require('./attachments');
+const { videoSummary, summaryCard } = require('./summaries');
 
 const app = express();
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// Attachment uploads are raw bodies (a JSON dataset must not be parsed here)
+const jsonBody = express.json({ limit: '10mb' });
+app.use((req, res, next) => (req.path === '/api/attachments' ? next() : jsonBody(req, res, next)));
 
 const URI = process.env.REACT_APP_MONGODB_URI || process.env.MONGODB_URI || process.env.REACT_APP_MONGO_URI;
 const DB = 'chatapp';
 
 let db;
+let attachments;
 
 async function connect() {
   const client = await MongoClient.connect(URI);
   db = client.db(DB);
   console.log('MongoDB connected');
+  attachments = createAttachmentStore(db);
+  await runMigrations(db, { attachments });
+  // Message ObjectIds are time-ordered, so (sessionId, _id) serves both
+  // "latest page" and "page before <id>" queries.
+  await db.collection('messages').createIndex({ sessionId: 1, _id: -1 });
+  await db.collection('video_summaries').createIndex({ videoId: 1, transcriptHash: 1 }, { unique: true });
 }
 
 app.get('/', (req, res) => {
@@ -37,7 +62,8 @@ app.get('/api/status', async (req, res) => {
   try {
     const usersCount = await db.collection('users').countDocuments();
     const sessionsCount = await db.collection('sessions').countDocuments();
-    res.json({ usersCount, sessionsCount });
+    const messagesCount = await db.collection('messages').countDocuments();
+    res.json({ usersCount, sessionsCount, messagesCount });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -78,11 +104,14 @@ app.post('/api/users/login', async (req, res) => {
     if (!user) return res.status(401).json({ error: 'User not found' });
     const ok = await bcrypt.compare(password, user.password);
     if (!ok) return res.status(401).json({ error: 'Invalid password' });
+    const { token, expiresAt } = signToken(name);
     res.json({
       ok: true,
       username: name,
       firstName: user.firstName || null,
       lastName: user.lastName || null,
+      token,
+      expiresAt,
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -90,14 +119,23 @@ app.post('/api/users/login', async (req, res) => {
 });
 
 // ── Sessions ─────────────────────────────────────────────────────────────────
+// Every session and message route requires a valid token and only ever touches
+// sessions owned by the authenticated user. Sessions belonging to someone else
+// are reported as "not found" so ids can't be probed.
+
+const toObjectId = (id) => (/^[a-f\d]{24}$/i.test(String(id)) ? new ObjectId(String(id)) : null);
 
-app.get('/api/sessions', async (req, res) => {
+async function findOwnedSession(id, username) {
+  const _id = toObjectId(id);
+  if (!_id) return null;
+  return db.collection('sessions').findOne({ _id, username });
+}
+
+app.get('/api/sessions', requireAuth, async (req, res) => {
   try {
-    const { username } = req.query;
-    if (!username) return res.status(400).json({ error: 'username required' });
     const sessions = await db
       .collection('sessions')
-      .find({ username })
+      .find({ username: req.user.username })
       .sort({ createdAt: -1 })
       .toArray();
     res.json(
@@ -106,7 +144,8 @@ app.get('/api/sessions', async (req, res) => {
         agent: s.agent || null,
         title: s.title || null,
         createdAt: s.createdAt,
-        messageCount: (s.messages || []).length,
+        messageCount: s.messageCount || 0,
+        provider: s.provider || null,
       }))
     );
   } catch (err) {
@@ -114,17 +153,16 @@ app.get('/api/sessions', async (req, res) => {
   }
 });
 
-app.post('/api/sessions', async (req, res) => {
+app.post('/api/sessions', requireAuth, async (req, res) => {
   try {
-    const { username, agent } = req.body;
-    if (!username) return res.status(400).json({ error: 'username required' });
-    const { title } = req.body;
+    const { agent, title, provider } = req.body;
     const result = await db.collection('sessions').insertOne({
-      username,
+      username: req.user.username,
       agent: agent || null,
       title: title || null,
+      provider: availableProviders().includes(provider) ? provider : null,
       createdAt: new Date().toISOString(),
-      messages: [],
+      messageCount: 0,
     });
     res.json({ id: result.insertedId.toString() });
   } catch (err) {
@@ -132,82 +170,605 @@ app.post('/api/sessions', async (req, res) => {
   }
 });
 
-app.delete('/api/sessions/:id', async (req, res) => {
+app.delete('/api/sessions/:id', requireAuth, async (req, res) => {
   try {
-    await db.collection('sessions').deleteOne({ _id: new ObjectId(req.params.id) });
+    const _id = toObjectId(req.params.id);
+    const result = _id
+      ? await db.collection('sessions').deleteOne({ _id, username: req.user.username })
+      : { deletedCount: 0 };
+    if (!result.deletedCount) return res.status(404).json({ error: 'Session not found' });
+    const msgs = await db.collection('messages').find({ sessionId: _id }).toArray();
+    await Promise.all(msgs.flatMap(messageAttachmentIds).map((id) => attachments.remove(id)));
+    await db.collection('messages').deleteMany({ sessionId: _id });
+    await deleteDatasets({ sessionId: _id });
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.patch('/api/sessions/:id/title', async (req, res) => {
+app.patch('/api/sessions/:id/title', requireAuth, async (req, res) => {
   try {
     const { title } = req.body;
-    await db.collection('sessions').updateOne(
-      { _id: new ObjectId(req.params.id) },
-      { $set: { title } }
-    );
+    const _id = toObjectId(req.params.id);
+    const result = _id
+      ? await db.collection('sessions').updateOne(
+          { _id, username: req.user.username },
+          { $set: { title } }
+        )
+      : { matchedCount: 0 };
+    if (!result.matchedCount) return res.status(404).json({ error: 'Session not found' });
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// null clears the choice, so the session follows the deployment default again.
+app.patch('/api/sessions/:id/provider', requireAuth, async (req, res) => {
+  try {
+    const { provider } = req.body;
+    if (provider != null && !availableProviders().includes(provider))
+      return res.status(400).json({ error: `Unknown or unconfigured provider: ${provider}` });
+    const _id = toObjectId(req.params.id);
+    const result = _id
+      ? await db.collection('sessions').updateOne(
+          { _id, username: req.user.username },
+          { $set: { provider: provider || null } }
+        )
+      : { matchedCount: 0 };
+    if (!result.matchedCount) return res.status(404).json({ error: 'Session not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Attachments ──────────────────────────────────────────────────────────────
+// Upload: POST the raw bytes with their Content-Type (optional X-Filename
+// header). Download: GET /api/attachments/:id — owner only.
+
+const ATTACHMENT_MAX = '50mb';
+
+app.post(
+  '/api/attachments',
+  requireAuth,
+  express.raw({ type: () => true, limit: ATTACHMENT_MAX }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || !req.body.length)
+        return res.status(400).json({ error: 'Request body must contain the file bytes' });
+      const mimeType = (req.headers['content-type'] || 'application/octet-stream').split(';')[0];
+      const name = req.headers['x-filename'] ? decodeURIComponent(req.headers['x-filename']) : null;
+      const id = await attachments.put(req.body, { mimeType, name, username: req.user.username });
+      res.json({ id, mimeType, name, size: req.body.length });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+async function findOwnedAttachment(id, username) {
+  if (!toObjectId(id)) return null;
+  const info = await attachments.info(String(id));
+  return info && info.username === username ? info : null;
+}
+
+app.get('/api/attachments/:id', requireAuth, async (req, res) => {
+  try {
+    const info = await findOwnedAttachment(req.params.id, req.user.username);
+    if (!info) return res.status(404).json({ error: 'Attachment not found' });
+    res.setHeader('Content-Type', info.mimeType);
+    res.setHeader('Content-Length', info.size);
+    res.setHeader('Cache-Control', 'private, max-age=31536000, immutable');
+    const stream = attachments.open(info.id);
+    stream.on('error', (err) => res.destroy(err));
+    stream.pipe(res);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── Messages ─────────────────────────────────────────────────────────────────
+// One document per message in the `messages` collection, keyed by sessionId.
+// GET pages backwards from the newest message: pass the oldest id you have as
+// `before` to get the page preceding it. Images are stored as attachment refs
+// ({ attachmentId, mimeType }); the client uploads them first.
+
+const MESSAGE_PAGE_SIZE = 50;
+const MESSAGE_PAGE_MAX = 200;
+
+// Keeps only refs to attachments the user owns, reduced to { attachmentId, mimeType }.
+async function ownedAttachmentRefs(refs, username) {
+  const out = [];
+  for (const ref of [].concat(refs || [])) {
+    const info = ref && (await findOwnedAttachment(ref.attachmentId, username));
+    if (info) out.push({ attachmentId: info.id, mimeType: info.mimeType });
+  }
+  return out;
+}
+
+// Code-execution parts: text/code/result stay inline, plot images become refs.
+async function storedParts(parts, username) {
+  const out = [];
+  for (const part of parts || []) {
+    if (part?.type === 'image') {
+      const [ref] = await ownedAttachmentRefs(part, username);
+      if (ref) out.push({ type: 'image', ...ref });
+    } else if (part?.type) {
+      out.push(part);
+    }
+  }
+  return out;
+}
 
-app.post('/api/messages', async (req, res) => {
+function messageAttachmentIds(m) {
+  return [
+    ...(m.images || []),
+    ...(m.generatedImage ? [m.generatedImage] : []),
+    ...(m.parts || []).filter((p) => p.type === 'image'),
+  ].map((ref) => ref.attachmentId);
+}
+
+app.post('/api/messages', requireAuth, async (req, res) => {
   try {
-    const { session_id, role, content, imageData, charts, toolCalls } = req.body;
+    const { session_id, role, content, images, generatedImage, parts, charts, toolCalls, videoCards, tables, toolRoundLimit, route, citations } = req.body;
     if (!session_id || !role || content === undefined)
       return res.status(400).json({ error: 'session_id, role, content required' });
+    const session = await findOwnedSession(session_id, req.user.username);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    const { username } = req.user;
+    const imageRefs = await ownedAttachmentRefs(images, username);
+    const [generatedRef] = await ownedAttachmentRefs(generatedImage, username);
+    const partsStored = parts?.length ? await storedParts(parts, username) : [];
+
     const msg = {
+      sessionId: session._id,
       role,
       content,
       timestamp: new Date().toISOString(),
-      ...(imageData && {
-        imageData: Array.isArray(imageData) ? imageData : [imageData],
-      }),
+      ...(imageRefs.length && { images: imageRefs }),
+      ...(generatedRef && { generatedImage: generatedRef }),
+      ...(partsStored.length && { parts: partsStored }),
       ...(charts?.length && { charts }),
       ...(toolCalls?.length && { toolCalls }),
+      ...(videoCards?.length && { videoCards }),
+      ...(tables?.length && { tables }),
+      ...(toolRoundLimit && { toolRoundLimit }),
+      ...(route?.mode && { route: { mode: route.mode, reason: route.reason || '', source: route.source || null } }),
+      ...(citations?.length && { citations }),
     };
-    await db.collection('sessions').updateOne(
-      { _id: new ObjectId(session_id) },
-      { $push: { messages: msg } }
+    const result = await db.collection('messages').insertOne(msg);
+    await db.collection('sessions').updateOne({ _id: session._id }, { $inc: { messageCount: 1 } });
+    res.json({ ok: true, id: result.insertedId.toString() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/messages', requireAuth, async (req, res) => {
+  try {
+    const { session_id, before } = req.query;
+    if (!session_id) return res.status(400).json({ error: 'session_id required' });
+    const session = await findOwnedSession(session_id, req.user.username);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || MESSAGE_PAGE_SIZE), MESSAGE_PAGE_MAX);
+    const query = { sessionId: session._id };
+    if (before) {
+      const beforeId = toObjectId(before);
+      if (!beforeId) return res.status(400).json({ error: 'before must be a message id' });
+      query._id = { $lt: beforeId };
+    }
+
+    // Fetch one extra to learn whether an older page exists
+    const page = await db
+      .collection('messages')
+      .find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .toArray();
+    const hasMore = page.length > limit;
+
+    const msgs = page.slice(0, limit).reverse().map((m) => ({
+      id: m._id.toString(),
+      role: m.role,
+      content: m.content,
+      timestamp: m.timestamp,
+      images: m.images?.length ? m.images : undefined,
+      generatedImage: m.generatedImage || undefined,
+      parts: m.parts?.length ? m.parts : undefined,
+      charts: m.charts?.length ? m.charts : undefined,
+      toolCalls: m.toolCalls?.length ? m.toolCalls : undefined,
+      videoCards: m.videoCards?.length ? m.videoCards : undefined,
+      tables: m.tables?.length ? m.tables : undefined,
+      toolRoundLimit: m.toolRoundLimit || undefined,
+      route: m.route || undefined,
+      citations: m.citations?.length ? m.citations : undefined,
+    }));
+    res.json({ messages: msgs, hasMore });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Datasets ─────────────────────────────────────────────────────────────────
+// Parsed CSV rows / YouTube video arrays uploaded from the chat. The rows are a
+// JSON attachment; once a dataset is registered here, tool calls against it run
+// on the server instead of the browser. Datasets linked to a session (at most
+// one per kind) are reloaded whenever that session is reopened.
+
+async function findOwnedDataset(id, username) {
+  const _id = toObjectId(id);
+  if (!_id) return null;
+  return db.collection('datasets').findOne({ _id, username });
+}
+
+// Parsed rows of recently used datasets, so a tool loop doesn't re-read GridFS
+// on every request. Datasets are immutable once uploaded.
+const datasetRowsCache = new Map();
+const DATASET_CACHE_SIZE = 8;
+
+// Channel videos get their derived fields recomputed on every read: viewsPerDay
+// and the like move with the clock, so the values stored at upload go stale.
+async function loadDatasetRows(dataset) {
+  const key = dataset._id.toString();
+  let rows = datasetRowsCache.get(key);
+  if (!rows) {
+    rows = JSON.parse((await attachments.read(dataset.attachmentId)).toString('utf8'));
+    datasetRowsCache.set(key, rows);
+    if (datasetRowsCache.size > DATASET_CACHE_SIZE) datasetRowsCache.delete(datasetRowsCache.keys().next().value);
+  }
+  return dataset.kind === 'json' && Array.isArray(rows) ? enrichVideos(rows) : rows;
+}
+
+async function deleteDatasets(filter) {
+  const docs = await db.collection('datasets').find(filter).toArray();
+  for (const d of docs) {
+    datasetRowsCache.delete(d._id.toString());
+    if (d.attachmentId) await attachments.remove(d.attachmentId);
+  }
+  await db.collection('datasets').deleteMany({ _id: { $in: docs.map((d) => d._id) } });
+}
+
+app.post('/api/datasets', requireAuth, async (req, res) => {
+  try {
+    const { kind, name, attachmentId, rowCount } = req.body;
+    if (!['csv', 'json'].includes(kind) || !attachmentId)
+      return res.status(400).json({ error: 'kind ("csv" or "json") and attachmentId required' });
+    const info = await findOwnedAttachment(attachmentId, req.user.username);
+    if (!info) return res.status(404).json({ error: 'Attachment not found' });
+    const result = await db.collection('datasets').insertOne({
+      username: req.user.username,
+      kind,
+      name: name || null,
+      rowCount: Number(rowCount) || null,
+      attachmentId: info.id,
+      createdAt: new Date().toISOString(),
+    });
+    res.json({ id: result.insertedId.toString() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/datasets/:id/rows', requireAuth, async (req, res) => {
+  try {
+    const dataset = await findOwnedDataset(req.params.id, req.user.username);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+    res.json(await loadDatasetRows(dataset));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/sessions/:id/datasets', requireAuth, async (req, res) => {
+  try {
+    const session = await findOwnedSession(req.params.id, req.user.username);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const docs = await db
+      .collection('datasets')
+      .find({ sessionId: session._id })
+      .sort({ createdAt: 1 })
+      .toArray();
+    res.json(
+      docs.map((d) => ({
+        id: d._id.toString(),
+        kind: d.kind,
+        name: d.name,
+        rowCount: d.rowCount,
+        createdAt: d.createdAt,
+      }))
     );
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Links a dataset to a session, replacing the session's previous dataset of the same kind
+app.post('/api/sessions/:id/datasets', requireAuth, async (req, res) => {
+  try {
+    const { username } = req.user;
+    const session = await findOwnedSession(req.params.id, username);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const dataset = await findOwnedDataset(req.body.dataset_id, username);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+    await deleteDatasets({ sessionId: session._id, kind: dataset.kind, _id: { $ne: dataset._id } });
+    await db.collection('datasets').updateOne({ _id: dataset._id }, { $set: { sessionId: session._id } });
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/messages', async (req, res) => {
+app.delete('/api/sessions/:id/datasets/:datasetId', requireAuth, async (req, res) => {
   try {
-    const { session_id } = req.query;
-    if (!session_id) return res.status(400).json({ error: 'session_id required' });
-    const doc = await db
-      .collection('sessions')
-      .findOne({ _id: new ObjectId(session_id) });
-    const raw = doc?.messages || [];
-    const msgs = raw.map((m, i) => {
-      const arr = m.imageData
-        ? Array.isArray(m.imageData)
-          ? m.imageData
-          : [m.imageData]
-        : [];
-      return {
-        id: `${doc._id}-${i}`,
-        role: m.role,
-        content: m.content,
-        timestamp: m.timestamp,
-        images: arr.length
-          ? arr.map((img) => ({ data: img.data, mimeType: img.mimeType }))
-          : undefined,
-        charts: m.charts?.length ? m.charts : undefined,
-        toolCalls: m.toolCalls?.length ? m.toolCalls : undefined,
-      };
+    const session = await findOwnedSession(req.params.id, req.user.username);
+    const datasetId = toObjectId(req.params.datasetId);
+    if (!session || !datasetId) return res.status(404).json({ error: 'Dataset not found' });
+    await deleteDatasets({ _id: datasetId, sessionId: session._id });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── AI (model proxy) ─────────────────────────────────────────────────────────
+// The browser never sees a model key: chat streams, tool loops and image
+// generation all go through these routes, on the session's provider
+// (providers/index.js) or the deployment default.
+
+app.get('/api/ai/providers', requireAuth, (req, res) => {
+  res.json({ default: DEFAULT_PROVIDER, available: availableProviders() });
+});
+
+function openEventStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  return (data) => {
+    if (!res.destroyed) res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+// Aborts when the browser goes away before the response is finished — the Stop
+// button aborts its fetch, which cancels the model request behind it.
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+// The browser sends the session and the id of the user message it just saved;
+// history, rolling summary and dataset blocks are worked out here (context.js).
+// Resolves to { provider, context }, or null once an error response is sent.
+async function turnContext(req, res) {
+  const { sessionId, messageId, message, blocks } = req.body;
+  if (typeof message !== 'string') {
+    res.status(400).json({ error: 'message required' });
+    return null;
+  }
+  try {
+    const session = await findOwnedSession(sessionId, req.user.username);
+    if (!session) {
+      res.status(404).json({ error: 'Session not found' });
+      return null;
+    }
+    const provider = providerFor(session);
+    const context = await buildContext(db, {
+      session,
+      provider,
+      messageId: toObjectId(messageId),
+      message,
+      blocks: Array.isArray(blocks) ? blocks : [],
+    });
+    return { provider, context };
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+    return null;
+  }
+}
+
+app.post('/api/ai/chat', requireAuth, async (req, res) => {
+  const { images, useCodeExecution, systemInstruction, userContext } = req.body;
+  const turn = await turnContext(req, res);
+  if (!turn) return;
+  const { provider, context } = turn;
+
+  const signal = abortOnDisconnect(res);
+  const send = openEventStream(res);
+  try {
+    for await (const event of provider.streamChat({ ...context, images, useCodeExecution, systemInstruction, userContext, signal })) {
+      send(event);
+    }
+    send({ type: 'done' });
+  } catch (err) {
+    if (!signal.aborted) console.error('AI chat error:', err.message);
+    send({ type: 'error', message: err.message });
+  }
+  res.end();
+});
+
+// Picks the path for a message (src/services/intentRouter.js) with a one-shot
+// call to the session's provider; the keyword rules answer when AI_ROUTER=local,
+// the call fails or takes longer than ROUTER_TIMEOUT_MS.
+const ROUTER = process.env.AI_ROUTER === 'local' ? 'local' : 'model';
+const ROUTER_TIMEOUT_MS = 8000;
+
+app.post('/api/ai/route', requireAuth, async (req, res) => {
+  const { sessionId, message, context = {} } = req.body;
+  if (typeof message !== 'string') return res.status(400).json({ error: 'message required' });
+  try {
+    const session = await findOwnedSession(sessionId, req.user.username);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    if (ROUTER === 'model') {
+      const signal = AbortSignal.any([abortOnDisconnect(res), AbortSignal.timeout(ROUTER_TIMEOUT_MS)]);
+      try {
+        const route = parseRouteReply(await providerFor(session).complete(routePrompt(message, context), signal), context);
+        if (route) return res.json({ ...route, source: 'model' });
+      } catch (err) {
+        console.warn('Routing call failed, using keyword rules:', err.message);
+      }
+    }
+    res.json({ ...classifyLocally(message, context), source: 'rules' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Tool calls waiting on the browser: runId → { username, calls: Map(callId → resolve/reject) }.
+// The browser receives a "toolCall" event, runs the executor locally and posts
+// the model-facing result to /api/ai/tools/:runId/results.
+const pendingToolRuns = new Map();
+const BROWSER_TOOL_TIMEOUT_MS = 2 * 60 * 1000;
+
+function waitForBrowserResult(run, callId) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      run.calls.delete(callId);
+      reject(new Error('Timed out waiting for the browser to run a tool'));
+    }, BROWSER_TOOL_TIMEOUT_MS);
+    run.calls.set(callId, {
+      resolve: (result) => { clearTimeout(timer); resolve(result); },
+      reject: (err) => { clearTimeout(timer); reject(err); },
+    });
+  });
+}
+
+app.post('/api/ai/tools', requireAuth, async (req, res) => {
+  const { toolsets = {}, datasetIds = {}, systemInstruction, userContext } = req.body;
+  const turn = await turnContext(req, res);
+  if (!turn) return;
+  const { provider, context } = turn;
+
+  // Rows of the uploaded datasets; tools for a dataset that isn't stored run in the browser
+  const datasets = { csvRows: null, jsonRows: null };
+  for (const kind of ['csv', 'json']) {
+    if (!toolsets[kind] || !datasetIds?.[kind]) continue;
+    try {
+      const dataset = await findOwnedDataset(datasetIds[kind], req.user.username);
+      if (dataset?.kind === kind) datasets[`${kind}Rows`] = await loadDatasetRows(dataset);
+    } catch (err) {
+      console.error(`Dataset lookup failed, ${kind} tools fall back to the browser:`, err.message);
+    }
+  }
+
+  const runId = crypto.randomUUID();
+  const run = { username: req.user.username, calls: new Map() };
+  pendingToolRuns.set(runId, run);
+  const signal = abortOnDisconnect(res);
+  res.on('close', () => {
+    for (const call of run.calls.values()) call.reject(new Error('Client disconnected'));
+    pendingToolRuns.delete(runId);
+  });
+
+  const send = openEventStream(res);
+  send({ type: 'run', runId });
+
+  let callSeq = 0;
+  try {
+    const events = runToolLoop(provider, {
+      ...context,
+      declarations: toolDeclarations({ csv: !!toolsets.csv, json: !!toolsets.json }, provider),
+      systemInstruction,
+      userContext,
+      signal,
+      executeCall: async (name, args) => {
+        const callId = String(++callSeq);
+        if (canRunOnServer(name, args, datasets)) {
+          send({ type: 'toolStart', callId, name, args });
+          // A failing tool becomes an error result so the other calls of the turn still count
+          const { result, modelResult } = await executeOnServer(name, args, datasets, { db, provider, signal }).catch((err) => ({
+            result: { error: err.message },
+            modelResult: { error: err.message },
+          }));
+          send({ type: 'toolResult', callId, name, args, result });
+          return modelResult;
+        }
+        const pending = waitForBrowserResult(run, callId);
+        send({ type: 'toolCall', callId, name, args });
+        return pending;
+      },
     });
-    res.json(msgs);
+    // "text" deltas as they stream, then "done" with { roundLimitReached, maxRounds }
+    for await (const event of events) send(event);
+  } catch (err) {
+    if (!signal.aborted) console.error('AI tools error:', err.message);
+    send({ type: 'error', message: err.message });
+  } finally {
+    pendingToolRuns.delete(runId);
+    res.end();
+  }
+});
+
+app.post('/api/ai/tools/:runId/results', requireAuth, (req, res) => {
+  const run = pendingToolRuns.get(req.params.runId);
+  if (!run || run.username !== req.user.username)
+    return res.status(404).json({ error: 'Tool run not found' });
+  const callId = String(req.body.callId);
+  const call = run.calls.get(callId);
+  if (!call) return res.status(404).json({ error: 'Tool call not found' });
+  run.calls.delete(callId);
+  call.resolve(req.body.result ?? null);
+  res.json({ ok: true });
+});
+
+// "Summarize channel": summarizes every video of a stored channel JSON that has
+// a transcript, one after another (server/summaries.js). Cached summaries come
+// back straight away, so running it again only pays for new or changed videos.
+// Streams { type: 'progress', done, total, title, cached }, { type: 'summary', card },
+// { type: 'skipped', title, reason } and finally
+// { type: 'done', summarized, cached, skipped }.
+app.post('/api/ai/summaries', requireAuth, async (req, res) => {
+  const { sessionId, datasetId } = req.body;
+  let provider;
+  let videos;
+  try {
+    const session = await findOwnedSession(sessionId, req.user.username);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const dataset = await findOwnedDataset(datasetId, req.user.username);
+    if (dataset?.kind !== 'json') return res.status(404).json({ error: 'Dataset not found' });
+    provider = providerFor(session);
+    videos = await loadDatasetRows(dataset);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  const signal = abortOnDisconnect(res);
+  const send = openEventStream(res);
+  const withTranscript = videos.filter((v) => v.transcript?.length);
+  const counts = { summarized: 0, cached: 0, skipped: videos.length - withTranscript.length };
+  try {
+    for (const [i, video] of withTranscript.entries()) {
+      send({ type: 'progress', done: i, total: withTranscript.length, title: video.title });
+      try {
+        const summary = await videoSummary(db, provider, video, { signal });
+        counts[summary.cached ? 'cached' : 'summarized'] += 1;
+        send({ type: 'summary', card: summaryCard(video, summary) });
+      } catch (err) {
+        if (signal.aborted) throw err;
+        counts.skipped += 1;
+        send({ type: 'skipped', title: video.title, reason: err.message });
+      }
+    }
+    send({ type: 'done', ...counts });
+  } catch (err) {
+    if (!signal.aborted) console.error('Channel summary error:', err.message);
+    send({ type: 'error', message: err.message });
+  }
+  res.end();
+});
+
+app.post('/api/ai/image', requireAuth, async (req, res) => {
+  try {
+    const { prompt, anchorImages, sessionId } = req.body;
+    if (!prompt) return res.status(400).json({ error: 'prompt required' });
+    const session = sessionId ? await findOwnedSession(sessionId, req.user.username) : null;
+    res.json(await providerFor(session).generateImage(prompt, anchorImages || [], abortOnDisconnect(res)));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -313,6 +874,33 @@ function findContinuationToken(obj) {
   return null;
 }
 
+// Caption XML comes back with entities, sometimes escaped twice ("&amp;#39;")
+const decodeCaption = (text) =>
+  text
+    .replace(/&amp;/g, '&')
+    .replace(/&#39;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code))
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Transcript as [{ start, duration, text }] segments (seconds) plus its language code,
+// or nulls when the video has no captions.
+async function fetchTranscriptSegments(videoId) {
+  try {
+    const { YoutubeTranscript } = require('youtube-transcript');
+    const t = await YoutubeTranscript.fetchTranscript(videoId);
+    const segments = t
+      .map((s) => ({ start: +s.offset.toFixed(2), duration: +s.duration.toFixed(2), text: decodeCaption(s.text) }))
+      .filter((s) => s.text);
+    return { transcript: segments.length ? segments : null, transcriptLanguage: t[0]?.lang || null };
+  } catch {
+    return { transcript: null, transcriptLanguage: null };
+  }
+}
+
 async function getVideoDetails(videoId) {
   const res = await fetch('https://www.youtube.com/youtubei/v1/player', {
     method: 'POST',
@@ -326,14 +914,7 @@ async function getVideoDetails(videoId) {
   const vd = data.videoDetails || {};
   const md = data.microformat?.playerMicroformatRenderer || {};
 
-  let transcript = null;
-  try {
-    const { YoutubeTranscript } = require('youtube-transcript');
-    const t = await YoutubeTranscript.fetchTranscript(videoId);
-    transcript = t.map((s) => s.text).join(' ');
-  } catch {
-    transcript = null;
-  }
+  const { transcript, transcriptLanguage } = await fetchTranscriptSegments(videoId);
 
   return {
     videoId,
@@ -347,6 +928,7 @@ async function getVideoDetails(videoId) {
     videoUrl: `https://www.youtube.com/watch?v=${videoId}`,
     thumbnailUrl: vd.thumbnail?.thumbnails?.slice(-1)?.[0]?.url || `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
     transcript,
+    transcriptLanguage,
   };
 }
 
@@ -375,11 +957,7 @@ app.post('/api/youtube/channel', async (req, res) => {
 
     const max = Math.min(Math.max(1, parseInt(maxVideos) || 10), 100);
 
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-
-    const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+    const send = openEventStream(res);
 
     send({ type: 'status', message: 'Resolving channel...', progress: 0 });
     const channelId = await resolveChannelId(channelUrl);
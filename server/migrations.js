@@ -0,0 +1,122 @@
+// ── Schema migrations ────────────────────────────────────────────────────────
+// Run once at startup, in order. Each applied migration is recorded in the
+// `migrations` collection so it never runs twice. Migrations must be safe to
+// re-run if the server dies halfway through one.
+
+const MIGRATIONS = [
+  {
+    // Messages used to be $push-ed into sessions.messages, which runs into the
+    // 16 MB document limit. Move them into their own collection.
+    name: '001-split-session-messages',
+    async up(db) {
+      const sessions = db.collection('sessions');
+      const messages = db.collection('messages');
+      const cursor = sessions.find(
+        { messages: { $exists: true } },
+        { projection: { messages: 1 } }
+      );
+      let moved = 0;
+      for await (const session of cursor) {
+        const embedded = session.messages || [];
+        // An interrupted run may have copied some of them: drop the partial copy and insert them all again
+        const copied = await messages.countDocuments({ sessionId: session._id });
+        if (copied !== embedded.length) {
+          if (copied) await messages.deleteMany({ sessionId: session._id });
+          if (embedded.length) await messages.insertMany(embedded.map((m) => ({ sessionId: session._id, ...m })));
+          moved += embedded.length;
+        }
+        // The embedded array only goes once every message is in the collection
+        const messageCount = await messages.countDocuments({ sessionId: session._id });
+        if (messageCount !== embedded.length) {
+          throw new Error(`Session ${session._id}: copied ${messageCount} of ${embedded.length} messages`);
+        }
+        await sessions.updateOne(
+          { _id: session._id },
+          { $unset: { messages: '' }, $set: { messageCount } }
+        );
+      }
+      return `moved ${moved} messages`;
+    },
+  },
+  {
+    // Inline base64 images in messages and inline dataset rows move into the
+    // attachment store; documents keep only attachment ids.
+    name: '002-move-binaries-to-attachments',
+    async up(db, { attachments }) {
+      const owners = new Map();
+      const ownerOf = async (sessionId) => {
+        const key = String(sessionId);
+        if (!owners.has(key)) {
+          const s = await db.collection('sessions').findOne({ _id: sessionId }, { projection: { username: 1 } });
+          owners.set(key, s?.username || null);
+        }
+        return owners.get(key);
+      };
+
+      // Each stored image records its attachment id in imageData straight away, so a re-run
+      // after a crash skips it instead of storing it twice; a failed write removes the new attachment.
+      const keepOrRemove = async (attachmentId, write) => {
+        try {
+          await write();
+        } catch (err) {
+          await attachments.remove(attachmentId).catch(() => {});
+          throw err;
+        }
+      };
+
+      const messages = db.collection('messages');
+      let images = 0;
+      for await (const m of messages.find({ imageData: { $exists: true } })) {
+        const username = await ownerOf(m.sessionId);
+        const stored = [].concat(m.imageData || []);
+        for (const [i, img] of stored.entries()) {
+          if (!img?.data || img.attachmentId) continue;
+          const mimeType = img.mimeType || 'image/png';
+          const attachmentId = await attachments.put(Buffer.from(img.data, 'base64'), { mimeType, name: 'image', username });
+          const path = Array.isArray(m.imageData) ? `imageData.${i}.attachmentId` : 'imageData.attachmentId';
+          await keepOrRemove(attachmentId, () => messages.updateOne({ _id: m._id }, { $set: { [path]: attachmentId } }));
+          stored[i] = { ...img, attachmentId };
+        }
+        const refs = stored
+          .filter((img) => img?.attachmentId)
+          .map((img) => ({ attachmentId: img.attachmentId, mimeType: img.mimeType || 'image/png' }));
+        await messages.updateOne(
+          { _id: m._id },
+          { $set: { images: refs }, $unset: { imageData: '' } }
+        );
+        images += refs.length;
+      }
+
+      let datasets = 0;
+      for await (const d of db.collection('datasets').find({ rows: { $exists: true } })) {
+        const attachmentId = await attachments.put(Buffer.from(JSON.stringify(d.rows)), {
+          mimeType: 'application/json',
+          name: d.name || `${d.kind}-dataset.json`,
+          username: d.username,
+        });
+        await keepOrRemove(attachmentId, () =>
+          db.collection('datasets').updateOne(
+            { _id: d._id },
+            { $set: { attachmentId }, $unset: { rows: '' } }
+          )
+        );
+        datasets++;
+      }
+
+      return `moved ${images} images, ${datasets} datasets`;
+    },
+  },
+];
+
+// `context` carries services migrations may need, e.g. { attachments }.
+async function runMigrations(db, context = {}) {
+  const applied = db.collection('migrations');
+  for (const migration of MIGRATIONS) {
+    if (await applied.findOne({ name: migration.name })) continue;
+    const note = await migration.up(db, context);
+    await applied.insertOne({ name: migration.name, appliedAt: new Date().toISOString() });
+    console.log(`Migration ${migration.name} applied${note ? ` (${note})` : ''}`);
+  }
+}
+
+module.exports = { runMigrations };
@@ -0,0 +1,224 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { instructionsText } = require('./shared');
+
+// ── Gemini provider ──────────────────────────────────────────────────────────
+// The API key lives only on the server. REACT_APP_GEMINI_API_KEY is still
+// accepted so existing .env files keep working, but it is never read by the
+// React code any more, so it is not baked into the bundle.
+
+const API_KEY = process.env.GEMINI_API_KEY || process.env.REACT_APP_GEMINI_API_KEY || '';
+
+const genAI = new GoogleGenerativeAI(API_KEY);
+
+const MODEL = 'gemini-2.5-pro';
+const IMAGE_MODEL = 'gemini-2.5-flash-image';
+const SUMMARY_MODEL = 'gemini-2.5-flash';
+
+const SEARCH_TOOL = { googleSearch: {} };
+const CODE_EXEC_TOOL = { codeExecution: {} };
+
+// `summary` is the rolling summary of turns that no longer fit in `history`.
+function buildChatHistory(systemInstruction, history, userContext, summary = '') {
+  const baseHistory = (history || []).map((m) => ({
+    role: m.role === 'user' ? 'user' : 'model',
+    parts: [{ text: m.content || '' }],
+  }));
+
+  const instructions = instructionsText({ systemInstruction, userContext, summary });
+
+  if (instructions) {
+    return [
+      { role: 'user', parts: [{ text: `Follow these instructions in every response:\n\n${instructions}` }] },
+      { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
+      ...baseHistory,
+    ];
+  }
+  return baseHistory;
+}
+
+// Code-execution responses become the { type: 'text' | 'code' | 'result' | 'image' }
+// parts the chat renders.
+function toStructuredParts(parts) {
+  return parts
+    .map((p) => {
+      if (p.text) return { type: 'text', text: p.text };
+      if (p.executableCode)
+        return { type: 'code', language: p.executableCode.language || 'PYTHON', code: p.executableCode.code };
+      if (p.codeExecutionResult)
+        return { type: 'result', outcome: p.codeExecutionResult.outcome, output: p.codeExecutionResult.output };
+      if (p.inlineData)
+        return { type: 'image', mimeType: p.inlineData.mimeType, data: p.inlineData.data };
+      return null;
+    })
+    .filter(Boolean);
+}
+
+// ── Streaming chat (search or code execution) ────────────────────────────────
+// Yields { type: 'text' | 'fullResponse' | 'grounding' } events, the same
+// shapes the browser used to build itself.
+
+async function* streamChat({ history, summary, message, images = [], useCodeExecution = false, systemInstruction = '', userContext = '', signal }) {
+  const tools = useCodeExecution ? [CODE_EXEC_TOOL] : [SEARCH_TOOL];
+  const model = genAI.getGenerativeModel({ model: MODEL, tools });
+
+  const chat = model.startChat({ history: buildChatHistory(systemInstruction, history, userContext, summary) });
+
+  const parts = [
+    { text: message },
+    ...images.map((img) => ({
+      inlineData: { mimeType: img.mimeType || 'image/png', data: img.data },
+    })),
+  ].filter((p) => p.text !== undefined || p.inlineData !== undefined);
+
+  const result = await chat.sendMessageStream(parts, { signal });
+
+  for await (const chunk of result.stream) {
+    const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
+    for (const part of chunkParts) {
+      if (part.text) yield { type: 'text', text: part.text };
+    }
+  }
+
+  const response = await result.response;
+  const allParts = response.candidates?.[0]?.content?.parts || [];
+
+  const hasCodeExecution = allParts.some(
+    (p) =>
+      p.executableCode ||
+      p.codeExecutionResult ||
+      (p.inlineData && p.inlineData.mimeType?.startsWith('image/'))
+  );
+
+  if (hasCodeExecution) {
+    yield { type: 'fullResponse', parts: toStructuredParts(allParts) };
+  }
+
+  const grounding = response.candidates?.[0]?.groundingMetadata;
+  if (grounding) yield { type: 'grounding', data: grounding };
+}
+
+// ── Function calling ─────────────────────────────────────────────────────────
+// One chat per tool loop; each send() streams a round and ends with the
+// function calls Gemini asked for (the loop itself is in providers/index.js).
+
+function startToolChat({ history, summary, declarations, systemInstruction = '', userContext = '', signal }) {
+  const model = genAI.getGenerativeModel({
+    model: MODEL,
+    tools: [{ functionDeclarations: declarations }],
+  });
+
+  const chat = model.startChat({ history: buildChatHistory(systemInstruction, history, userContext, summary) });
+
+  return {
+    async *send({ message, results }) {
+      const request = results
+        ? results.map(({ name, result }) => ({ functionResponse: { name, response: { result } } }))
+        : message;
+      const stream = await chat.sendMessageStream(request, { signal });
+      for await (const chunk of stream.stream) {
+        for (const part of chunk.candidates?.[0]?.content?.parts || []) {
+          if (part.text) yield { type: 'text', text: part.text };
+        }
+      }
+
+      const response = await stream.response;
+      const calls = (response.candidates?.[0]?.content?.parts || [])
+        .filter((p) => p.functionCall)
+        .map((p) => ({ name: p.functionCall.name, args: p.functionCall.args || {} }));
+      yield { type: 'calls', calls };
+    },
+  };
+}
+
+// ── One-shot completion (conversation summaries) ─────────────────────────────
+
+async function complete(prompt, signal) {
+  const model = genAI.getGenerativeModel({ model: SUMMARY_MODEL });
+  const { response } = await model.generateContent(prompt, { signal });
+  return response.text().trim();
+}
+
+// ── Search and Python as tools ───────────────────────────────────────────────
+// Used by the web_search / run_python functions of the tool registry: each runs
+// as its own one-shot request with the matching built-in tool.
+
+async function searchWeb(query, signal) {
+  const model = genAI.getGenerativeModel({ model: MODEL, tools: [SEARCH_TOOL] });
+  const { response } = await model.generateContent(query, { signal });
+  return {
+    text: response.text(),
+    grounding: response.candidates?.[0]?.groundingMetadata || null,
+  };
+}
+
+// `files` are { name, mimeType, text } attachments for the code to read.
+async function runPython(task, files = [], signal) {
+  const model = genAI.getGenerativeModel({ model: MODEL, tools: [CODE_EXEC_TOOL] });
+  const fileNote = files.length
+    ? `\n\nAttached data: ${files.map((f) => `${f.name} (${f.mimeType})`).join(', ')}. Load it into pandas before answering.`
+    : '';
+  const parts = [
+    { text: `Write and run Python code for this task, then briefly explain the result.\n\nTask: ${task}${fileNote}` },
+    ...files.map((f) => ({ inlineData: { mimeType: f.mimeType, data: Buffer.from(f.text).toString('base64') } })),
+  ];
+  const { response } = await model.generateContent(parts, { signal });
+  return toStructuredParts(response.candidates?.[0]?.content?.parts || []);
+}
+
+// ── Image generation (direct REST call for reliability) ──────────────────────
+
+async function generateImage(prompt, anchorImages = [], signal) {
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${IMAGE_MODEL}:generateContent`;
+
+  const parts = [
+    { text: prompt },
+    ...anchorImages.map((img) => ({
+      inlineData: { mimeType: img.mimeType || 'image/png', data: img.data },
+    })),
+  ];
+
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': API_KEY },
+    signal,
+    body: JSON.stringify({
+      contents: [{ parts }],
+      generationConfig: { responseModalities: ['TEXT', 'IMAGE'] },
+    }),
+  });
+
+  if (!res.ok) {
+    const err = await res.text();
+    throw new Error(`Image generation failed (${res.status}): ${err}`);
+  }
+
+  const data = await res.json();
+  const responseParts = data.candidates?.[0]?.content?.parts || [];
+
+  let imageData = null;
+  let textResponse = '';
+
+  for (const part of responseParts) {
+    if (part.inlineData) {
+      imageData = {
+        data: part.inlineData.data,
+        mimeType: part.inlineData.mimeType,
+      };
+    }
+    if (part.text) textResponse += part.text;
+  }
+
+  return { imageData, textResponse };
+}
+
+module.exports = {
+  name: 'gemini',
+  isConfigured: () => !!API_KEY,
+  serverTools: ['web_search', 'run_python'],
+  streamChat,
+  startToolChat,
+  complete,
+  searchWeb,
+  runPython,
+  generateImage,
+};
@@ -0,0 +1,87 @@
+// ── LLM providers ────────────────────────────────────────────────────────────
+// Every model call goes through a provider adapter with the same interface:
+//   streamChat(opts)            async generator of { type: 'text' | 'fullResponse' | 'grounding' }
+//   startToolChat(opts)         → { send({ message } | { results }) } — one streamed
+//                               function-calling round per send, ending in { type: 'calls' }
+//   complete(prompt, signal)    one-shot text (conversation summaries)
+//   searchWeb / runPython       the server-side tools listed in `serverTools`
+//   generateImage(prompt, anchorImages, signal)
+// LLM_PROVIDER picks the deployment default; a session can pick any other
+// provider that is configured (see availableProviders).
+
+const ADAPTERS = {
+  gemini: './gemini',
+  openai: './openai',
+  mock: './mock',
+};
+
+const DEFAULT_PROVIDER = ADAPTERS[process.env.LLM_PROVIDER] ? process.env.LLM_PROVIDER : 'gemini';
+
+const loaded = {};
+const getProvider = (name) => {
+  const key = ADAPTERS[name] ? name : DEFAULT_PROVIDER;
+  if (!loaded[key]) loaded[key] = require(ADAPTERS[key]);
+  return loaded[key];
+};
+
+const availableProviders = () =>
+  Object.keys(ADAPTERS).filter((name) => name === DEFAULT_PROVIDER || getProvider(name).isConfigured());
+
+// The session's own provider when it is still available, otherwise the default.
+const providerFor = (session) =>
+  getProvider(availableProviders().includes(session?.provider) ? session.provider : DEFAULT_PROVIDER);
+
+// ── Function-calling loop ────────────────────────────────────────────────────
+// Yields { type: 'text' } deltas as each round streams, then one
+// { type: 'done', roundLimitReached, maxRounds }. `executeCall(name, args)`
+// resolves to the result the model should see; the caller decides whether that
+// runs here (uploaded dataset) or in the browser. Every function call of a turn
+// runs concurrently and all the responses go back in one message; a call that
+// rejects goes back as { error }. The model is asked at most `maxRounds` times:
+// when the last round still wants tools, the loop stops without running them.
+
+const MAX_TOOL_ROUNDS = parseInt(process.env.AI_TOOL_MAX_ROUNDS, 10) || 5;
+
+const settledResult = (outcome) =>
+  outcome.status === 'fulfilled' ? outcome.value : { error: outcome.reason?.message || String(outcome.reason) };
+
+async function* runToolLoop(provider, { message, maxRounds = MAX_TOOL_ROUNDS, executeCall, ...options }) {
+  const chat = provider.startToolChat(options);
+
+  let input = { message };
+  for (let round = 0; ; round++) {
+    let calls = [];
+    for await (const event of chat.send(input)) {
+      if (event.type === 'calls') calls = event.calls;
+      else yield event;
+    }
+    if (!calls.length || round + 1 >= maxRounds) {
+      yield { type: 'done', roundLimitReached: calls.length > 0, maxRounds };
+      return;
+    }
+
+    const settled = await Promise.allSettled(calls.map(({ name, args }) => executeCall(name, args)));
+    input = { results: calls.map((call, i) => ({ ...call, result: settledResult(settled[i]) })) };
+  }
+}
+
+// ── Conversation summary ─────────────────────────────────────────────────────
+// Folds turns that fell out of the context window into the rolling summary.
+
+async function summarizeConversation(provider, previousSummary, messages) {
+  const transcript = messages.map((m) => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`).join('\n\n');
+  const prompt =
+    'Update the running summary of a chat between a user and an assistant that analyses YouTube channel and tweet data. ' +
+    'Keep facts, numbers, names, decisions, open questions and which datasets were discussed; drop pleasantries. ' +
+    'Answer with the new summary only, at most 300 words.\n\n' +
+    `Current summary:\n${previousSummary || '(none)'}\n\nNew turns:\n${transcript}`;
+  return provider.complete(prompt);
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  availableProviders,
+  providerFor,
+  runToolLoop,
+  summarizeConversation,
+};
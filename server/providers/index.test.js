@@ -0,0 +1,98 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SCRIPT = {
+  turns: [
+    {
+      match: 'compare',
+      rounds: [
+        { text: 'Looking both up.', calls: [{ name: 'get_views', args: { id: 'a' } }, { name: 'get_views', args: { id: 'b' } }] },
+        { text: 'A has more views.' },
+      ],
+    },
+    { match: 'forever', rounds: Array.from({ length: 10 }, () => ({ calls: [{ name: 'ping' }] })) },
+  ],
+};
+
+// The mock provider reads MOCK_LLM_SCRIPT when it is loaded
+const scriptPath = path.join(os.tmpdir(), `mock-llm-script-${process.pid}.json`);
+fs.writeFileSync(scriptPath, JSON.stringify(SCRIPT));
+process.env.MOCK_LLM_SCRIPT = scriptPath;
+const mock = require('./mock');
+const { runToolLoop } = require('./index');
+
+afterAll(() => fs.unlinkSync(scriptPath));
+
+// Runs the loop to the end, recording what each round sent to the model
+async function run(message, executeCall, options = {}) {
+  const inputs = [];
+  const provider = {
+    startToolChat: () => {
+      const chat = mock.startToolChat();
+      return {
+        send: (input) => {
+          inputs.push(input);
+          return chat.send(input);
+        },
+      };
+    },
+  };
+  const events = [];
+  for await (const event of runToolLoop(provider, { message, executeCall, ...options })) events.push(event);
+  return { inputs, events };
+}
+
+test('runs the calls of a round in parallel and sends every result back together', async () => {
+  const started = [];
+  const release = {};
+  const executeCall = (name, args) =>
+    new Promise((resolve) => {
+      started.push(args.id);
+      release[args.id] = () => resolve({ views: args.id === 'a' ? 10 : 5 });
+      // Neither call finishes until both have started
+      if (started.length === 2) {
+        release.b();
+        release.a();
+      }
+    });
+
+  const { inputs, events } = await run('compare a and b', executeCall);
+  expect(started).toEqual(['a', 'b']);
+  expect(inputs[1]).toEqual({
+    results: [
+      { name: 'get_views', args: { id: 'a' }, result: { views: 10 } },
+      { name: 'get_views', args: { id: 'b' }, result: { views: 5 } },
+    ],
+  });
+  const text = events.filter((e) => e.type === 'text').map((e) => e.text).join('');
+  expect(text).toBe('Looking both up.A has more views.');
+  expect(events[events.length - 1]).toMatchObject({ type: 'done', roundLimitReached: false });
+});
+
+test('stops after maxRounds even when the model still wants tools', async () => {
+  const executeCall = jest.fn(async () => ({ ok: true }));
+  const { inputs, events } = await run('loop forever', executeCall, { maxRounds: 2 });
+  // Two model calls; the second one's tool calls never run
+  expect(inputs).toHaveLength(2);
+  expect(executeCall).toHaveBeenCalledTimes(1);
+  expect(events).toEqual([{ type: 'done', roundLimitReached: true, maxRounds: 2 }]);
+});
+
+test('sends a rejected call back as an error and keeps the results of the others', async () => {
+  const executeCall = async (name, args) => {
+    if (args.id === 'b') throw new Error('Video not found');
+    return { views: 10 };
+  };
+  const { inputs } = await run('compare a and b', executeCall);
+  expect(inputs[1].results.map((r) => r.result)).toEqual([{ views: 10 }, { error: 'Video not found' }]);
+});
+
+test('ends after one round when the model calls no tools', async () => {
+  const executeCall = jest.fn();
+  const { events } = await run('hello there', executeCall);
+  expect(executeCall).not.toHaveBeenCalled();
+  expect(events.filter((e) => e.type === 'text').map((e) => e.text).join('')).toBe('Mock reply to: hello there');
+  expect(events[events.length - 1]).toMatchObject({ type: 'done', roundLimitReached: false });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+
+// ── Scripted mock provider ───────────────────────────────────────────────────
+// Replays canned answers and tool calls from a JSON script so the tool loops
+// can run offline and deterministically. MOCK_LLM_SCRIPT points at a file:
+//
+//   {
+//     "turns": [
+//       { "match": "top videos", "rounds": [
+//           { "text": "Looking…", "calls": [{ "name": "get_top_videos", "args": { "n": 5 } }] },
+//           { "text": "Here are the five most viewed videos." }
+//       ] },
+//       { "rounds": [{ "text": "Fallback answer." }] }
+//     ],
+//     "summary": "Canned conversation summary."
+//   }
+//
+// The first turn whose `match` (a case-insensitive regex) finds the user
+// message is replayed; a turn without `match` catches everything else. Each
+// send() of a tool chat plays the next round; once the rounds run out the
+// model answers with no further calls. Without a script every message is echoed.
+
+const SCRIPT_PATH = process.env.MOCK_LLM_SCRIPT || '';
+
+// 1×1 transparent PNG for generated images
+const PIXEL_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+let script = null;
+const loadScript = () => {
+  if (!script) script = SCRIPT_PATH ? JSON.parse(fs.readFileSync(SCRIPT_PATH, 'utf8')) : { turns: [] };
+  return script;
+};
+
+// The block separator is how the context manager prepends dataset blocks; match on the user's own text.
+const userText = (message) => String(message || '').split('\n\n---\n\n').pop();
+
+function roundsFor(message) {
+  const text = userText(message);
+  const turn = (loadScript().turns || []).find((t) => !t.match || new RegExp(t.match, 'i').test(text));
+  return turn?.rounds || [{ text: `Mock reply to: ${text}` }];
+}
+
+// Word-sized deltas, so the client sees a stream rather than one chunk.
+function* textEvents(text) {
+  for (const piece of (text || '').match(/\S+\s*|\s+/g) || []) yield { type: 'text', text: piece };
+}
+
+async function* streamChat({ message }) {
+  yield* textEvents(roundsFor(message).map((r) => r.text).filter(Boolean).join('\n\n'));
+}
+
+function startToolChat() {
+  let rounds = null;
+  let next = 0;
+  return {
+    async *send({ message }) {
+      if (!rounds) rounds = roundsFor(message);
+      const round = rounds[next++] || {};
+      yield* textEvents(round.text);
+      yield { type: 'calls', calls: (round.calls || []).map((c) => ({ name: c.name, args: c.args || {} })) };
+    },
+  };
+}
+
+async function complete() {
+  return loadScript().summary || 'Mock summary of the earlier conversation.';
+}
+
+async function searchWeb(query) {
+  return {
+    text: `Mock search results for "${query}".`,
+    grounding: { webSearchQueries: [query], groundingChunks: [] },
+  };
+}
+
+async function runPython(task) {
+  return [
+    { type: 'code', language: 'PYTHON', code: `# ${task}\nprint("mock")` },
+    { type: 'result', outcome: 'OUTCOME_OK', output: 'mock\n' },
+    { type: 'text', text: 'Mock Python run.' },
+  ];
+}
+
+async function generateImage(prompt) {
+  return { imageData: { data: PIXEL_PNG, mimeType: 'image/png' }, textResponse: `Mock image for: ${prompt}` };
+}
+
+module.exports = {
+  name: 'mock',
+  isConfigured: () => !!SCRIPT_PATH,
+  serverTools: ['web_search', 'run_python'],
+  streamChat,
+  startToolChat,
+  complete,
+  searchWeb,
+  runPython,
+  generateImage,
+};
@@ -0,0 +1,187 @@
+const { instructionsText, readSseJson } = require('./shared');
+
+// ── OpenAI-compatible provider ───────────────────────────────────────────────
+// Talks plain HTTP to any server that implements /chat/completions (streaming
+// and tools) and /images/generations: OpenAI itself, or a local server such as
+// llama.cpp, vLLM, LM Studio or Ollama via OPENAI_BASE_URL. Google Search and
+// code execution have no equivalent here, so web_search / run_python are not
+// offered and search-mode chats are answered from the model alone.
+
+const BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const API_KEY = process.env.OPENAI_API_KEY || '';
+const MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const SUMMARY_MODEL = process.env.OPENAI_SUMMARY_MODEL || MODEL;
+const IMAGE_MODEL = process.env.OPENAI_IMAGE_MODEL || 'gpt-image-1';
+
+async function post(path, body, signal) {
+  const res = await fetch(`${BASE_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(API_KEY && { Authorization: `Bearer ${API_KEY}` }),
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!res.ok) throw new Error(`${path} failed (${res.status}): ${await res.text()}`);
+  return res;
+}
+
+function baseMessages({ history, summary, systemInstruction, userContext }) {
+  const instructions = instructionsText({ systemInstruction, userContext, summary });
+  return [
+    ...(instructions ? [{ role: 'system', content: instructions }] : []),
+    ...(history || []).map((m) => ({ role: m.role === 'user' ? 'user' : 'assistant', content: m.content || '' })),
+  ];
+}
+
+// Tool declarations use Gemini's schema spelling ("OBJECT", "STRING"); JSON Schema wants lower case.
+function toJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = { ...schema };
+  if (typeof schema.type === 'string') out.type = schema.type.toLowerCase();
+  if (schema.properties) {
+    out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toJsonSchema(v)]));
+  }
+  if (schema.items) out.items = toJsonSchema(schema.items);
+  return out;
+}
+
+const parseArgs = (text) => {
+  try {
+    return JSON.parse(text || '{}');
+  } catch {
+    return {};
+  }
+};
+
+// One streamed completion: yields { type: 'text' } deltas, then
+// { type: 'message', text, calls } with the tool calls reassembled from their fragments.
+async function* completionStream(body, signal) {
+  const res = await post('/chat/completions', { model: MODEL, stream: true, ...body }, signal);
+  let text = '';
+  const calls = [];
+  for await (const chunk of readSseJson(res.body)) {
+    const delta = chunk.choices?.[0]?.delta || {};
+    if (delta.content) {
+      text += delta.content;
+      yield { type: 'text', text: delta.content };
+    }
+    for (const fragment of delta.tool_calls || []) {
+      const call = calls[fragment.index ?? calls.length] || (calls[fragment.index ?? calls.length] = { id: '', name: '', arguments: '' });
+      if (fragment.id) call.id = fragment.id;
+      if (fragment.function?.name) call.name += fragment.function.name;
+      if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+    }
+  }
+  yield { type: 'message', text, calls: calls.filter(Boolean) };
+}
+
+// ── Streaming chat ───────────────────────────────────────────────────────────
+
+async function* streamChat({ message, images = [], signal, ...context }) {
+  const content = images.length
+    ? [
+        { type: 'text', text: message },
+        ...images.map((img) => ({
+          type: 'image_url',
+          image_url: { url: `data:${img.mimeType || 'image/png'};base64,${img.data}` },
+        })),
+      ]
+    : message;
+  const messages = [...baseMessages(context), { role: 'user', content }];
+  for await (const event of completionStream({ messages }, signal)) {
+    if (event.type === 'text') yield event;
+  }
+}
+
+// ── Function calling ─────────────────────────────────────────────────────────
+
+function startToolChat({ declarations, signal, ...context }) {
+  const messages = baseMessages(context);
+  const tools = declarations.map((d) => ({
+    type: 'function',
+    function: { name: d.name, description: d.description, parameters: toJsonSchema(d.parameters) },
+  }));
+  let pending = [];
+
+  return {
+    async *send({ message, results }) {
+      if (results) {
+        results.forEach(({ result }, i) => {
+          messages.push({ role: 'tool', tool_call_id: pending[i]?.id, content: JSON.stringify(result ?? null) });
+        });
+      } else {
+        messages.push({ role: 'user', content: message });
+      }
+
+      for await (const event of completionStream({ messages, tools }, signal)) {
+        if (event.type === 'text') {
+          yield event;
+          continue;
+        }
+        pending = event.calls.map((c, i) => ({ ...c, id: c.id || `call_${messages.length}_${i}` }));
+        messages.push({
+          role: 'assistant',
+          content: event.text || null,
+          ...(pending.length && {
+            tool_calls: pending.map((c) => ({
+              id: c.id,
+              type: 'function',
+              function: { name: c.name, arguments: c.arguments || '{}' },
+            })),
+          }),
+        });
+        yield { type: 'calls', calls: pending.map((c) => ({ name: c.name, args: parseArgs(c.arguments) })) };
+      }
+    },
+  };
+}
+
+// ── One-shot completion ──────────────────────────────────────────────────────
+
+async function complete(prompt, signal) {
+  const res = await post('/chat/completions', { model: SUMMARY_MODEL, messages: [{ role: 'user', content: prompt }] }, signal);
+  const data = await res.json();
+  return (data.choices?.[0]?.message?.content || '').trim();
+}
+
+// ── Image generation ─────────────────────────────────────────────────────────
+// Anchor images need the multipart /images/edits endpoint, which local servers
+// rarely implement, so they are not passed on.
+
+async function generateImage(prompt, anchorImages = [], signal) {
+  const res = await post(
+    '/images/generations',
+    {
+      model: IMAGE_MODEL,
+      prompt,
+      n: 1,
+      // gpt-image models always return base64 and reject response_format
+      ...(!IMAGE_MODEL.startsWith('gpt-image') && { response_format: 'b64_json' }),
+    },
+    signal
+  );
+  const data = await res.json();
+  const b64 = data.data?.[0]?.b64_json;
+  return {
+    imageData: b64 ? { data: b64, mimeType: 'image/png' } : null,
+    textResponse: data.data?.[0]?.revised_prompt || '',
+  };
+}
+
+const unsupported = (tool) => async () => {
+  throw new Error(`${tool} is not available with the OpenAI-compatible provider`);
+};
+
+module.exports = {
+  name: 'openai',
+  isConfigured: () => !!(process.env.OPENAI_BASE_URL || API_KEY),
+  serverTools: [],
+  streamChat,
+  startToolChat,
+  complete,
+  searchWeb: unsupported('web_search'),
+  runPython: unsupported('run_python'),
+  generateImage,
+};
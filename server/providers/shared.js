@@ -0,0 +1,29 @@
+// ── Helpers shared by the provider adapters ──────────────────────────────────
+
+// System prompt, user context and rolling summary as one instruction block.
+const instructionsText = ({ systemInstruction = '', userContext = '', summary = '' }) =>
+  [
+    systemInstruction,
+    userContext,
+    summary && `Summary of the earlier part of this conversation:\n${summary}`,
+  ].filter(Boolean).join('\n\n');
+
+// Reads a server-sent-events body and yields the parsed JSON of each "data:"
+// line, stopping at the OpenAI-style "[DONE]" marker.
+async function* readSseJson(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      if (data) yield JSON.parse(data);
+    }
+  }
+}
+
+module.exports = { instructionsText, readSseJson };
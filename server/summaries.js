@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const { transcriptSegments, formatTimestamp, videoUrlAt } = require('../src/services/jsonTools.js');
+
+// ── Transcript summaries ─────────────────────────────────────────────────────
+// Map-reduce over a video's transcript on the provider's cheap model: the
+// transcript is cut into chunks, each chunk is summarized on its own (map), and
+// the partial summaries are merged — several at a time for long videos — into
+// one summary, key topics and a chapter list (reduce).
+//
+// Results are stored in `video_summaries` keyed by { videoId, transcriptHash },
+// so summarize_video and the "Summarize channel" action only pay for a video
+// once per transcript, whichever session or provider asks.
+
+const CHUNK_CHARS = 12000;
+const MAP_CONCURRENCY = 3;
+const REDUCE_FAN_IN = 8;
+const MAX_TOPICS = 8;
+const MAX_CHAPTERS = 12;
+
+const transcriptHash = (segments) =>
+  crypto.createHash('sha256').update(JSON.stringify(segments)).digest('hex').slice(0, 32);
+
+// Transcript lines prefixed with their timestamp, packed into ~CHUNK_CHARS chunks.
+// An untimed (plain-string) transcript is split by length without timestamps.
+function transcriptChunks(segments) {
+  const lines = segments.flatMap((s) => {
+    if (s.start != null) return [`[${formatTimestamp(s.start)}] ${s.text}`];
+    const words = s.text.split(/\s+/);
+    const pieces = [];
+    let piece = '';
+    for (const w of words) {
+      if (piece.length + w.length + 1 > CHUNK_CHARS && piece) {
+        pieces.push(piece);
+        piece = '';
+      }
+      piece += `${piece ? ' ' : ''}${w}`;
+    }
+    return piece ? [...pieces, piece] : pieces;
+  });
+
+  const chunks = [];
+  let current = '';
+  for (const line of lines) {
+    if (current && current.length + line.length + 1 > CHUNK_CHARS) {
+      chunks.push(current);
+      current = '';
+    }
+    current += `${current ? '\n' : ''}${line}`;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+const SHAPE =
+  'Answer with JSON only, no code fence: {"summary": string, "topics": [string], "chapters": [{"start": "m:ss", "title": string}]}.';
+
+const finalRules = (timed) =>
+  `"summary" is one paragraph of at most 150 words; "topics" are at most ${MAX_TOPICS} short key topics; ` +
+  (timed
+    ? `"chapters" are 4 to ${MAX_CHAPTERS} chapters covering the whole video in order, the first at 0:00, with short titles.`
+    : '"chapters" is an empty list (the transcript has no timestamps).');
+
+function chunkPrompt(video, chunk, index, count, timed) {
+  const where = count > 1 ? `part ${index + 1} of ${count} of ` : '';
+  const rules =
+    count > 1
+      ? '"summary" is 3 to 5 sentences on this part; "topics" are at most 5 short topics; ' +
+        '"chapters" mark where a new subject starts in this part' +
+        (timed ? ', with the start copied from the line timestamps.' : ' (leave empty: there are no timestamps).')
+      : finalRules(timed);
+  return (
+    `Summarize ${where}the transcript of the YouTube video "${video.title || video.videoId}". ` +
+    `${timed ? 'Each line starts with its timestamp. ' : ''}${rules}\n${SHAPE}\n\nTranscript:\n${chunk}`
+  );
+}
+
+function mergePrompt(video, parts, timed) {
+  const listed = parts
+    .map((p, i) =>
+      [
+        `Part ${i + 1}: ${p.summary}`,
+        p.topics.length ? `Topics: ${p.topics.join('; ')}` : null,
+        p.chapters.length ? `Chapters: ${p.chapters.map((c) => `${formatTimestamp(c.start)} ${c.title}`).join('; ')}` : null,
+      ]
+        .filter(Boolean)
+        .join('\n')
+    )
+    .join('\n\n');
+  return (
+    `Merge these summaries of consecutive parts of the YouTube video "${video.title || video.videoId}" into one. ` +
+    `${finalRules(timed)}${timed ? ' Take chapter starts from the part chapters.' : ''}\n${SHAPE}\n\n${listed}`
+  );
+}
+
+// "1:02:03" / "2:03" / "105:30" (any number of minutes without hours) / seconds → seconds, or null
+function parseStart(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  const m = String(value ?? '').trim().match(/^(?:(\d+):(\d{1,2})|(\d+)):(\d{2})$/);
+  if (!m) return null;
+  return (Number(m[1]) || 0) * 3600 + Number(m[2] ?? m[3]) * 60 + Number(m[4]);
+}
+
+// The model's JSON, leniently: code fences and surrounding prose are ignored.
+// A reply without a JSON summary throws, so it never reaches the cache.
+function parseSummaryReply(reply, duration) {
+  const text = String(reply || '').trim();
+  const body = text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+  let parsed = null;
+  try {
+    parsed = body ? JSON.parse(body) : null;
+  } catch {
+    parsed = null;
+  }
+  const summary = typeof parsed?.summary === 'string' ? parsed.summary.trim() : '';
+  if (!summary) throw new Error('The model did not answer with a JSON summary; try again.');
+
+  const seen = new Set();
+  const chapters = (Array.isArray(parsed.chapters) ? parsed.chapters : [])
+    .map((c) => ({ start: parseStart(c?.start), title: String(c?.title || '').trim() }))
+    .filter((c) => c.start != null && c.title && !(duration && c.start > duration))
+    .sort((a, b) => a.start - b.start)
+    .filter((c) => !seen.has(c.start) && seen.add(c.start));
+  return {
+    summary,
+    topics: (Array.isArray(parsed.topics) ? parsed.topics : []).map((t) => String(t).trim()).filter(Boolean),
+    chapters,
+  };
+}
+
+// Runs fn over items with at most `limit` calls in flight, keeping the order.
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function summarizeTranscript(provider, video, segments, signal) {
+  const timed = segments.some((s) => s.start != null);
+  const chunks = transcriptChunks(segments);
+  const ask = async (prompt) => {
+    signal?.throwIfAborted();
+    return parseSummaryReply(await provider.complete(prompt, signal), video.duration);
+  };
+
+  let parts = await mapLimit(chunks, MAP_CONCURRENCY, (chunk, i) => ask(chunkPrompt(video, chunk, i, chunks.length, timed)));
+  while (parts.length > 1) {
+    const groups = [];
+    for (let i = 0; i < parts.length; i += REDUCE_FAN_IN) groups.push(parts.slice(i, i + REDUCE_FAN_IN));
+    parts = await mapLimit(groups, MAP_CONCURRENCY, (group) => (group.length > 1 ? ask(mergePrompt(video, group, timed)) : group[0]));
+  }
+
+  const [{ summary, topics, chapters }] = parts;
+  return {
+    summary,
+    topics: topics.slice(0, MAX_TOPICS),
+    chapters: chapters.slice(0, MAX_CHAPTERS),
+    chunks: chunks.length,
+  };
+}
+
+// Summaries being worked out right now, so two requests for one video share the
+// calls: cacheKey → { promise, controller, waiters }. The shared work runs on its
+// own signal; a caller that aborts only stops waiting, and the work is cancelled
+// once nobody waits for it any more.
+const inFlight = new Map();
+
+function sharedSummary(cacheKey, start) {
+  let entry = inFlight.get(cacheKey);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, waiters: 0, promise: null };
+    entry.promise = start(controller.signal).finally(() => inFlight.delete(cacheKey));
+    // Nobody may be waiting when it fails after the last caller left
+    entry.promise.catch(() => {});
+    inFlight.set(cacheKey, entry);
+  }
+  return entry;
+}
+
+// Waits for the shared work until it settles or `signal` aborts this caller
+function waitFor(entry, signal) {
+  signal?.throwIfAborted();
+  entry.waiters += 1;
+  return new Promise((resolve, reject) => {
+    const leave = () => {
+      signal?.removeEventListener('abort', onAbort);
+      entry.waiters -= 1;
+    };
+    const onAbort = () => {
+      leave();
+      if (!entry.waiters) entry.controller.abort(signal.reason);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    entry.promise.then(
+      (result) => {
+        leave();
+        resolve(result);
+      },
+      (err) => {
+        leave();
+        reject(err);
+      }
+    );
+  });
+}
+
+// Resolves to { summary, topics, chapters, chunks, cached } for a video of the
+// channel JSON, from the cache when its transcript was summarized before.
+// Throws when the video has no transcript or the model's reply can't be read.
+async function videoSummary(db, provider, video, { signal } = {}) {
+  const segments = transcriptSegments(video);
+  if (!segments.length) throw new Error(`"${video.title || video.videoId}" has no transcript to summarize.`);
+  const key = { videoId: video.videoId, transcriptHash: transcriptHash(segments) };
+  const summaries = db.collection('video_summaries');
+
+  const stored = await summaries.findOne(key);
+  if (stored) return { summary: stored.summary, topics: stored.topics, chapters: stored.chapters, chunks: stored.chunks, cached: true };
+
+  const entry = sharedSummary(`${key.videoId}:${key.transcriptHash}`, async (sharedSignal) => {
+    const result = await summarizeTranscript(provider, video, segments, sharedSignal);
+    await summaries.updateOne(
+      key,
+      { $set: { ...result, title: video.title || null, provider: provider.name, createdAt: new Date().toISOString() } },
+      { upsert: true }
+    );
+    return result;
+  });
+  return { ...(await waitFor(entry, signal)), cached: false };
+}
+
+// The card the chat renders for a summary: video info plus chapters that open
+// the video at their start.
+const summaryCard = (video, { summary, topics, chapters, cached }) => ({
+  _cardType: 'summary',
+  videoId: video.videoId,
+  title: video.title,
+  thumbnailUrl: video.thumbnailUrl,
+  videoUrl: video.videoUrl,
+  releaseDate: video.releaseDate,
+  summary,
+  topics,
+  chapters: chapters.map((c) => ({ ...c, timestamp: formatTimestamp(c.start), url: videoUrlAt(video, c.start) })),
+  cached,
+});
+
+module.exports = { videoSummary, summaryCard };
@@ -0,0 +1,72 @@
+/** @jest-environment node */
+const { videoSummary } = require('./summaries');
+
+const video = {
+  videoId: 'v1',
+  title: 'Long stream',
+  duration: 3 * 3600,
+  transcript: [
+    { start: 0, duration: 60, text: 'welcome to the stream' },
+    { start: 6330, duration: 60, text: 'now the questions' },
+  ],
+};
+
+// An in-memory video_summaries collection
+const fakeDb = () => {
+  const docs = [];
+  const collection = {
+    docs,
+    findOne: async (key) => docs.find((d) => d.videoId === key.videoId && d.transcriptHash === key.transcriptHash) || null,
+    updateOne: async (key, { $set }) => {
+      docs.push({ ...key, ...$set });
+    },
+  };
+  return { collection: () => collection };
+};
+
+const reply = (chapters) => JSON.stringify({ summary: 'A stream.', topics: ['q&a'], chapters });
+
+test('keeps chapter starts given as minutes past 99 without an hours part', async () => {
+  const provider = {
+    name: 'fake',
+    complete: async () => reply([{ start: '0:00', title: 'Intro' }, { start: '105:30', title: 'Questions' }, { start: '1:46:00', title: 'Outro' }]),
+  };
+  const { chapters } = await videoSummary(fakeDb(), provider, video);
+  expect(chapters.map((c) => c.start)).toEqual([0, 6330, 6360]);
+});
+
+test('does not cache a reply without a JSON summary', async () => {
+  const db = fakeDb();
+  const provider = { name: 'fake', complete: async () => 'Sorry, I cannot help with that.' };
+  await expect(videoSummary(db, provider, video)).rejects.toThrow(/did not answer with a JSON summary/);
+  expect(db.collection().docs).toEqual([]);
+
+  provider.complete = async () => reply([]);
+  await expect(videoSummary(db, provider, video)).resolves.toMatchObject({ summary: 'A stream.', cached: false });
+  await expect(videoSummary(db, provider, video)).resolves.toMatchObject({ cached: true });
+});
+
+test('one caller stopping does not cancel the summary another caller waits for', async () => {
+  let answer;
+  let sharedSignal;
+  const provider = {
+    name: 'fake',
+    complete: (prompt, signal) => {
+      sharedSignal = signal;
+      return new Promise((resolve) => {
+        answer = () => resolve(reply([]));
+      });
+    },
+  };
+  const db = fakeDb();
+  const stopping = new AbortController();
+  const first = videoSummary(db, provider, video, { signal: stopping.signal });
+  const second = videoSummary(db, provider, video);
+  await new Promise((resolve) => setTimeout(resolve, 0));
+
+  stopping.abort(new Error('Stopped'));
+  await expect(first).rejects.toThrow('Stopped');
+  expect(sharedSignal.aborted).toBe(false);
+  answer();
+  await expect(second).resolves.toMatchObject({ summary: 'A stream.', cached: false });
+});
@@ -0,0 +1,102 @@
+// ── Server-side tool execution ───────────────────────────────────────────────
+// The tool registry and the CSV / JSON executors are the same ES modules the
+// browser uses. Node (20.19+) loads them through require(), so src/services
+// modules that the server needs must stay free of browser-only APIs and import
+// each other with explicit ".js" extensions.
+
+const {
+  TOOL_SOURCE,
+  toolDeclarations: registryDeclarations,
+  toolDataset,
+  executeRegisteredTool,
+} = require('../src/services/toolRegistry.js');
+const { rowsToCsv } = require('../src/services/csvTools.js');
+const { findVideo } = require('../src/services/jsonTools.js');
+const { videoSummary, summaryCard } = require('./summaries');
+
+// Data handed to run_python is capped like the old inline-CSV path.
+const MAX_PYTHON_DATA_CHARS = 500000;
+
+const pythonFiles = ({ csvRows, jsonRows }) => {
+  const files = [];
+  if (csvRows?.length) {
+    files.push({ name: 'data.csv', mimeType: 'text/csv', text: rowsToCsv(csvRows, Object.keys(csvRows[0])) });
+  }
+  if (jsonRows?.length) {
+    files.push({ name: 'videos.json', mimeType: 'application/json', text: JSON.stringify(jsonRows) });
+  }
+  return files.map((f) => ({ ...f, text: f.text.slice(0, MAX_PYTHON_DATA_CHARS) }));
+};
+
+async function runServerTool(name, args, datasets, { provider, signal }) {
+  if (name === 'web_search') {
+    const { text, grounding } = await provider.searchWeb(args.query, signal);
+    const sources = (grounding?.groundingChunks || []).filter((c) => c.web).map((c) => c.web.title || c.web.uri);
+    return {
+      result: { _groundingType: 'web_search', query: args.query, text, grounding },
+      modelResult: { answer: text, sources, note: 'The sources are listed for the user below the answer.' },
+    };
+  }
+  if (name === 'run_python') {
+    const parts = await provider.runPython(args.task, pythonFiles(datasets), signal);
+    const pick = (type, key) => parts.filter((p) => p.type === type).map((p) => p[key]).join('\n');
+    return {
+      result: { _partsType: 'code_execution', task: args.task, parts },
+      modelResult: {
+        code: pick('code', 'code'),
+        output: pick('result', 'output'),
+        explanation: pick('text', 'text'),
+        plots: parts.filter((p) => p.type === 'image').length,
+        note: 'The code, its output and any plots are already shown to the user.',
+      },
+    };
+  }
+  return executeRegisteredTool(name, args);
+}
+
+async function runSummaryTool(args, { jsonRows }, { db, provider, signal }) {
+  const video = findVideo(jsonRows, String(args.query || ''));
+  if (!video) {
+    const error = `No video found matching "${args.query}"`;
+    return { result: { error }, modelResult: { error } };
+  }
+  const card = summaryCard(video, await videoSummary(db, provider, video, { signal }));
+  return {
+    result: card,
+    modelResult: {
+      status: 'success',
+      message:
+        `Summary of "${card.title}" is now displayed to the user as a card with clickable chapters` +
+        `${card.cached ? ' (from the cache)' : ''}. Don't repeat it in full; add what the user asked for.`,
+      summary: card.summary,
+      topics: card.topics,
+      chapters: card.chapters.map((c) => `${c.timestamp} ${c.title}`),
+    },
+  };
+}
+
+// Registry declarations minus the server tools this provider can't run.
+const toolDeclarations = (toolsets, provider) =>
+  registryDeclarations(toolsets).filter(
+    (d) => TOOL_SOURCE[d.name] !== 'server' || provider.serverTools.includes(d.name)
+  );
+
+// Whether a call can run here: server tools and image requests always can,
+// dataset tools only when the dataset they read was uploaded.
+const canRunOnServer = (name, args, { csvRows, jsonRows }) => {
+  const dataset = toolDataset(name, args);
+  if (dataset === 'csv') return !!csvRows;
+  if (dataset === 'json') return !!jsonRows;
+  return true;
+};
+
+// datasets: { csvRows, jsonRows } — rows loaded from the stored datasets, or null.
+// Resolves to { result, modelResult }; search / Python / summaries run on
+// `provider`, summaries are cached in `db`, and `signal` cancels the calls.
+async function executeOnServer(name, args, datasets, { db, provider, signal }) {
+  if (TOOL_SOURCE[name] === 'server') return runServerTool(name, args, datasets, { provider, signal });
+  if (TOOL_SOURCE[name] === 'summary') return runSummaryTool(args, datasets, { db, provider, signal });
+  return executeRegisteredTool(name, args, datasets);
+}
+
+module.exports = { toolDeclarations, canRunOnServer, executeOnServer };
@@ -1,28 +1,41 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import Auth from './components/Auth';
 import Chat from './components/Chat';
 import YouTubeDownload from './components/YouTubeDownload';
+import { setAuthToken, onAuthExpired } from './services/mongoApi';
 import './App.css';
 
 function App() {
   const [user, setUser] = useState(() => {
     const saved = localStorage.getItem('chatapp_user');
     if (!saved) return null;
-    try { return JSON.parse(saved); } catch { return { username: saved }; }
+    let parsed;
+    try { parsed = JSON.parse(saved); } catch { return null; }
+    // Users saved before tokens existed (or with an expired token) must log in again
+    if (!parsed?.token || (parsed.expiresAt && new Date(parsed.expiresAt) < new Date())) return null;
+    setAuthToken(parsed.token);
+    return parsed;
   });
   const [activeTab, setActiveTab] = useState('chat');
 
   const handleLogin = (userData) => {
     localStorage.setItem('chatapp_user', JSON.stringify(userData));
+    setAuthToken(userData.token);
     setUser(userData);
   };
 
   const handleLogout = () => {
     localStorage.removeItem('chatapp_user');
+    setAuthToken(null);
     setUser(null);
     setActiveTab('chat');
   };
 
+  useEffect(() => {
+    onAuthExpired(handleLogout);
+    return () => onAuthExpired(null);
+  }, []);
+
   if (!user) return <Auth onLogin={handleLogin} />;
 
   return (
@@ -1,8 +1,19 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+afterEach(() => localStorage.clear());
+
+test('shows the login form when nobody is logged in', () => {
+  render(<App />);
+  expect(screen.getByRole('heading', { name: 'YouTube AI Chat' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Log in' })).toBeInTheDocument();
+});
+
+test('asks a saved user with an expired token to log in again', () => {
+  localStorage.setItem(
+    'chatapp_user',
+    JSON.stringify({ username: 'ada', token: 'old', expiresAt: '2020-01-01T00:00:00.000Z' })
+  );
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Log in' })).toBeInTheDocument();
 });
@@ -0,0 +1,125 @@
+import { useState, useRef, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from 'recharts';
+import { svgToPng } from './MetricChart';
+
+// Bar chart for group_and_aggregate results: data is [{ label, value, count }].
+
+const compact = (v) =>
+  v >= 1e6 ? `${parseFloat((v / 1e6).toFixed(1))}M` : v >= 1e3 ? `${parseFloat((v / 1e3).toFixed(1))}K` : v;
+
+function CustomTooltip({ active, payload, aggregate, metric }) {
+  if (!active || !payload?.length) return null;
+  const d = payload[0].payload;
+  return (
+    <div style={{
+      background: 'rgba(15, 15, 35, 0.95)',
+      border: '1px solid rgba(255,255,255,0.12)',
+      borderRadius: 10,
+      padding: '0.65rem 0.9rem',
+      fontSize: '0.82rem',
+      fontFamily: 'Inter, sans-serif',
+      color: '#e2e8f0',
+      boxShadow: '0 8px 24px rgba(0,0,0,0.4)',
+    }}>
+      <p style={{ margin: '0 0 0.3rem', fontWeight: 700, color: '#fff' }}>{d.label}</p>
+      <p style={{ margin: '0 0 0.15rem', color: '#818cf8' }}>
+        {aggregate === 'count' ? 'Videos' : `${aggregate} ${metric}`}:{' '}
+        <strong>{d.value == null ? '—' : Number(d.value).toLocaleString()}</strong>
+      </p>
+      {aggregate !== 'count' && <p style={{ margin: 0, opacity: 0.5, fontSize: '0.72rem' }}>n = {d.count}</p>}
+    </div>
+  );
+}
+
+function ChartBody({ data, metric, aggregate, height }) {
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={data} margin={{ top: 8, right: 16, left: 8, bottom: 64 }} barCategoryGap="25%">
+        <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.07)" vertical={false} />
+        <XAxis
+          dataKey="label"
+          tick={{ fill: 'rgba(255,255,255,0.5)', fontSize: 11, fontFamily: 'Inter,sans-serif' }}
+          axisLine={{ stroke: 'rgba(255,255,255,0.12)' }}
+          tickLine={false}
+          angle={-40}
+          textAnchor="end"
+          interval={0}
+        />
+        <YAxis
+          tick={{ fill: 'rgba(255,255,255,0.5)', fontSize: 11, fontFamily: 'Inter,sans-serif' }}
+          axisLine={false}
+          tickLine={false}
+          width={65}
+          tickFormatter={compact}
+        />
+        <Tooltip
+          content={<CustomTooltip aggregate={aggregate} metric={metric} />}
+          cursor={{ fill: 'rgba(255,255,255,0.05)' }}
+        />
+        <Bar dataKey="value" name={metric} fill="#818cf8" radius={[4, 4, 0, 0]} />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
+
+export default function AggregateChart({ data, metric, aggregate, chartTitle }) {
+  const [enlarged, setEnlarged] = useState(false);
+  const chartRef = useRef(null);
+
+  const handleDownload = useCallback(async () => {
+    const container = enlarged ? document.getElementById('aggregate-chart-portal') : chartRef.current;
+    const svg = container?.querySelector('svg');
+    if (!svg) return;
+
+    const pngBlob = await svgToPng(svg);
+    if (!pngBlob) return;
+    const url = URL.createObjectURL(pngBlob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${chartTitle.replace(/\W+/g, '_')}.png`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }, [chartTitle, enlarged]);
+
+  if (!data?.length) return null;
+
+  return (
+    <>
+      <div ref={chartRef} className="metric-chart-wrap">
+        <div className="metric-chart-header">
+          <p className="metric-chart-label">{chartTitle}</p>
+          <div className="metric-chart-actions">
+            <button className="metric-chart-btn" onClick={handleDownload}>Download</button>
+            <button className="metric-chart-btn" onClick={() => setEnlarged(true)}>Enlarge</button>
+          </div>
+        </div>
+        <ChartBody data={data} metric={metric} aggregate={aggregate} height={280} />
+      </div>
+
+      {enlarged && createPortal(
+        <div className="metric-chart-overlay" onClick={() => setEnlarged(false)}>
+          <div className="metric-chart-modal" id="aggregate-chart-portal" onClick={(e) => e.stopPropagation()}>
+            <div className="metric-chart-header">
+              <p className="metric-chart-label" style={{ fontSize: '1rem' }}>{chartTitle}</p>
+              <div className="metric-chart-actions">
+                <button className="metric-chart-btn" onClick={handleDownload}>Download</button>
+                <button className="metric-chart-btn" onClick={() => setEnlarged(false)}>Close</button>
+              </div>
+            </div>
+            <ChartBody data={data} metric={metric} aggregate={aggregate} height={500} />
+          </div>
+        </div>,
+        document.body
+      )}
+    </>
+  );
+}
@@ -1,28 +1,56 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useLayoutEffect, useRef, useMemo, useCallback } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
-import { streamChat, chatWithCsvTools, chatWithJsonTools, generateImageWithGemini } from '../services/gemini';
-import { parseCsvToRows, executeTool, computeDatasetSummary, enrichWithEngagement, buildSlimCsv } from '../services/csvTools';
-import { executeJsonTool } from '../services/jsonTools';
+import { streamChat, chatWithTools, generateImageWithGemini, routeMessage, summarizeChannel } from '../services/gemini';
+import { ROUTE_MODES } from '../services/intentRouter';
+import { computeDatasetSummary, enrichWithEngagement, buildSlimCsv } from '../services/csvTools';
+import { parseCsvChunks } from '../services/csvParser';
+import { enrichVideos, computeVideoSummary } from '../services/jsonTools';
+import { executeRegisteredTool } from '../services/toolRegistry';
+import { buildPassageIndex, retrievePassages, passageCitations, passagesBlock } from '../services/retrieval';
 import {
   getSessions,
   createSession,
+  updateSessionProvider,
+  getProviders,
   deleteSession,
   saveMessage,
   loadMessages,
+  uploadDataset,
+  linkDataset,
+  getSessionDatasets,
+  detachDataset,
+  loadDatasetRows,
 } from '../services/mongoApi';
 import EngagementChart from './EngagementChart';
 import MetricChart from './MetricChart';
 import VideoCard from './VideoCard';
+import VideoComparison from './VideoComparison';
+import VideoSummary from './VideoSummary';
+import VideoTable from './VideoTable';
+import AggregateChart from './AggregateChart';
+import CorrelationChart from './CorrelationChart';
+import ScheduleHeatmap from './ScheduleHeatmap';
+import TopicClusters from './TopicClusters';
 import './Chat.css';
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
+const MESSAGE_PAGE_SIZE = 30;
+
 const chatTitle = () => {
   const d = new Date();
   return `Chat · ${d.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
 };
 
+// Shown in the chat when loading or saving messages fails; never saved itself
+const errorMessage = (err) => ({
+  id: `e-${Date.now()}`,
+  role: 'model',
+  content: `Error: ${err.message}`,
+  timestamp: new Date().toISOString(),
+});
+
 const toBase64 = (str) => {
   const bytes = new TextEncoder().encode(str);
   let binary = '';
@@ -30,33 +58,81 @@ const toBase64 = (str) => {
   return btoa(binary);
 };
 
-const parseCSV = (text) => {
-  const lines = text.split('\n').filter((l) => l.trim());
-  if (!lines.length) return null;
-  const headers = lines[0].split(',').map((h) => h.trim().replace(/^"|"$/g, ''));
-  const rowCount = lines.length - 1;
-  const preview = lines.slice(0, 6).join('\n');
-  const raw = text.length > 500000 ? text.slice(0, 500000) : text;
-  const base64 = toBase64(raw);
-  const truncated = text.length > 500000;
-  return { headers, rowCount, preview, base64, truncated };
+// A CSV attached with a message is inlined (base64) for that turn's Python run, up to this size
+const MAX_INLINE_CSV_CHARS = 500000;
+
+// Decoded text of a file, chunk by chunk as it is read
+async function* fileTextChunks(file) {
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    yield decoder.decode(value, { stream: true });
+  }
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+// ── Citations ────────────────────────────────────────────────────────────────
+// Turns the answer's [1] / [1, 3] markers into links to the cited video moment.
+
+const linkCitations = (text, citations) => {
+  if (!citations?.length || !text) return text;
+  const byNumber = new Map(citations.map((c) => [c.n, c]));
+  return text.replace(/\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g, (marker, list) => {
+    const nums = list.split(',').map((n) => parseInt(n, 10));
+    if (!nums.every((n) => byNumber.has(n))) return marker;
+    return nums.map((n) => `[[${n}]](${byNumber.get(n).url})`).join('');
+  });
 };
 
-const messageText = (m) => {
-  if (m.parts) return m.parts.filter((p) => p.type === 'text').map((p) => p.text).join('\n');
-  return m.content || '';
+const citedNumbers = (text, citations) => {
+  const cited = new Set();
+  for (const [, list] of (text || '').matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    list.split(',').forEach((n) => cited.add(parseInt(n, 10)));
+  }
+  return citations.filter((c) => cited.has(c.n));
+};
+
+function CitationList({ text, citations }) {
+  const cited = citations?.length ? citedNumbers(text, citations) : [];
+  if (!cited.length) return null;
+  return (
+    <ol className="msg-citations">
+      {cited.map((c) => (
+        <li key={c.n} value={c.n}>
+          <a href={c.url} target="_blank" rel="noreferrer">{c.title}</a>
+          <span className="msg-citation-where">
+            {c.source === 'description' ? ' · description' : c.timestamp ? ` · ${c.timestamp}` : ' · transcript'}
+          </span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// Links in answers open in a new tab so the chat stays put
+const markdownComponents = {
+  a: ({ node, children, ...props }) => (
+    <a {...props} target="_blank" rel="noreferrer">
+      {children}
+    </a>
+  ),
 };
 
 // ── Structured part renderer ─────────────────────────────────────────────────
 
-function StructuredParts({ parts }) {
+function StructuredParts({ parts, citations }) {
   return (
     <>
       {parts.map((part, i) => {
         if (part.type === 'text' && part.text?.trim()) {
           return (
             <div key={i} className="part-text">
-              <ReactMarkdown remarkPlugins={[remarkGfm]}>{part.text}</ReactMarkdown>
+              <ReactMarkdown remarkPlugins={[remarkGfm]} components={markdownComponents}>
+                {linkCitations(part.text, citations)}
+              </ReactMarkdown>
             </div>
           );
         }
@@ -126,36 +202,94 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
   const [sessionCsvRows, setSessionCsvRows] = useState(null);
   const [sessionCsvHeaders, setSessionCsvHeaders] = useState(null);
   const [csvDataSummary, setCsvDataSummary] = useState(null);
+  const [jsonDataSummary, setJsonDataSummary] = useState(null);
   const [sessionSlimCsv, setSessionSlimCsv] = useState(null);
   const [sessionJsonData, setSessionJsonData] = useState(null);
+  // BM25 index over transcripts and descriptions for the retrieval block
+  const passageIndex = useMemo(
+    () => (sessionJsonData?.length ? buildPassageIndex(sessionJsonData) : null),
+    [sessionJsonData]
+  );
+  const [datasetIds, setDatasetIds] = useState({ csv: null, json: null });
   const [streaming, setStreaming] = useState(false);
   const [dragOver, setDragOver] = useState(false);
   const [openMenuId, setOpenMenuId] = useState(null);
   const [lightboxSrc, setLightboxSrc] = useState(null);
+  const [hasOlderMessages, setHasOlderMessages] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [providers, setProviders] = useState(null);
+  const [newChatProvider, setNewChatProvider] = useState(null);
+  const [composerMode, setComposerMode] = useState('auto');
 
   const bottomRef = useRef(null);
+  const messagesRef = useRef(null);
+  const scrollRestoreRef = useRef(null);
+  const loadedSessionRef = useRef(null);
   const inputRef = useRef(null);
-  const abortRef = useRef(false);
+  const abortRef = useRef(null);
   const fileInputRef = useRef(null);
   const justCreatedSessionRef = useRef(false);
+  const datasetUploadsRef = useRef({});
 
   const displayName = firstName ? `${firstName} ${lastName || ''}`.trim() : username;
   const userContextForAI = firstName
     ? `The user's name is ${firstName}${lastName ? ' ' + lastName : ''}. Address them by their first name.`
     : '';
 
+  // Dataset rows → session state; stable callbacks, since the session effect below restores datasets with them
+  const applyCsvRows = useCallback((rows, headers) => {
+    setSessionCsvHeaders(headers);
+    setSessionCsvRows(rows);
+    setCsvDataSummary(computeDatasetSummary(rows, headers));
+    setSessionSlimCsv(buildSlimCsv(rows, headers));
+  }, []);
+
+  // Adds the derived fields; returns the enriched videos for the upload
+  const applyJsonRows = useCallback((videos) => {
+    const enriched = enrichVideos(videos);
+    setSessionJsonData(enriched);
+    setJsonDataSummary(computeVideoSummary(enriched));
+    return enriched;
+  }, []);
+
+  // Reattaches the session's stored datasets so the tool paths work after a reload
+  const restoreSessionDatasets = useCallback(
+    async (sessionId) => {
+      try {
+        const datasets = await getSessionDatasets(sessionId);
+        for (const dataset of datasets) {
+          const rows = await loadDatasetRows(dataset.id);
+          if (loadedSessionRef.current !== sessionId) return;
+          if (!Array.isArray(rows) || !rows.length) continue;
+          if (dataset.kind === 'json') {
+            applyJsonRows(rows);
+          } else {
+            applyCsvRows(rows, Object.keys(rows[0]));
+          }
+          setDatasetIds((prev) => ({ ...prev, [dataset.kind]: dataset.id }));
+        }
+      } catch (err) {
+        console.warn('[Datasets] could not restore session datasets:', err.message);
+      }
+    },
+    [applyCsvRows, applyJsonRows]
+  );
+
   useEffect(() => {
     const init = async () => {
-      const list = await getSessions(username);
+      const list = await getSessions();
       setSessions(list);
       setActiveSessionId('new');
     };
     init();
+    getProviders().then(setProviders).catch((err) => console.warn('[Providers] load failed:', err.message));
   }, [username]);
 
   useEffect(() => {
+    loadedSessionRef.current = activeSessionId;
     if (!activeSessionId || activeSessionId === 'new') {
       setMessages([]);
+      setHasOlderMessages(false);
       return;
     }
     if (justCreatedSessionRef.current) {
@@ -163,10 +297,29 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
       return;
     }
     setMessages([]);
-    loadMessages(activeSessionId).then(setMessages);
-  }, [activeSessionId]);
-
-  useEffect(() => {
+    setHasOlderMessages(false);
+    loadMessages(activeSessionId, { limit: MESSAGE_PAGE_SIZE })
+      .then(({ messages: page, hasMore }) => {
+        if (loadedSessionRef.current !== activeSessionId) return;
+        setMessages(page);
+        setHasOlderMessages(hasMore);
+      })
+      .catch((err) => {
+        if (loadedSessionRef.current !== activeSessionId) return;
+        setMessages([errorMessage(err)]);
+        setHasOlderMessages(false);
+      });
+    restoreSessionDatasets(activeSessionId);
+  }, [activeSessionId, restoreSessionDatasets]);
+
+  useLayoutEffect(() => {
+    const el = messagesRef.current;
+    if (scrollRestoreRef.current !== null && el) {
+      // Older messages were prepended: keep the same message in view
+      el.scrollTop += el.scrollHeight - scrollRestoreRef.current;
+      scrollRestoreRef.current = null;
+      return;
+    }
     bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
@@ -188,7 +341,12 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
     setJsonContext(null);
     setSessionCsvRows(null);
     setSessionCsvHeaders(null);
+    setCsvDataSummary(null);
+    setSessionSlimCsv(null);
     setSessionJsonData(null);
+    setJsonDataSummary(null);
+    setDatasetIds({ csv: null, json: null });
+    datasetUploadsRef.current = {};
   };
 
   const handleSelectSession = (sessionId) => {
@@ -200,7 +358,12 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
     setJsonContext(null);
     setSessionCsvRows(null);
     setSessionCsvHeaders(null);
+    setCsvDataSummary(null);
+    setSessionSlimCsv(null);
     setSessionJsonData(null);
+    setJsonDataSummary(null);
+    setDatasetIds({ csv: null, json: null });
+    datasetUploadsRef.current = {};
   };
 
   const handleDeleteSession = async (sessionId, e) => {
@@ -215,6 +378,25 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
     }
   };
 
+  // Lazy-loads the page before the oldest loaded message when scrolled to the top
+  const loadOlderMessages = async () => {
+    const oldest = messages[0];
+    if (!hasOlderMessages || loadingOlder || !oldest) return;
+    const sessionId = activeSessionId;
+    setLoadingOlder(true);
+    try {
+      const { messages: page, hasMore } = await loadMessages(sessionId, { before: oldest.id, limit: MESSAGE_PAGE_SIZE });
+      if (loadedSessionRef.current !== sessionId) return;
+      scrollRestoreRef.current = messagesRef.current?.scrollHeight ?? null;
+      setMessages((m) => [...page, ...m]);
+      setHasOlderMessages(hasMore);
+    } catch (err) {
+      console.error('[Chat] failed to load older messages:', err.message);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
   // ── File handling ───────────────────────────────────────────────────────────
 
   const fileToBase64 = (file) =>
@@ -233,16 +415,89 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
       r.readAsText(file);
     });
 
+  // Datasets are uploaded in the background so tool calls can run on the server.
+  // Until the upload finishes (or if it fails) the tools run here in the browser.
+  // The upload is linked to the current session so reopening it restores the data;
+  // in a new chat the link happens once the first message creates the session.
+  const uploadForServerTools = (kind, name, rows) => {
+    const sessionId = loadedSessionRef.current;
+    setDatasetIds((prev) => ({ ...prev, [kind]: null }));
+    const upload = uploadDataset(kind, name, rows)
+      .then(({ id }) => id)
+      .catch((err) => {
+        console.warn(`[Datasets] ${kind} upload failed, tools will run in the browser:`, err.message);
+        return null;
+      });
+    datasetUploadsRef.current = { ...datasetUploadsRef.current, [kind]: upload };
+    upload.then((id) => {
+      if (!id || datasetUploadsRef.current[kind] !== upload) return;
+      setDatasetIds((prev) => ({ ...prev, [kind]: id }));
+      if (sessionId && sessionId !== 'new') linkSessionDataset(sessionId, id);
+    });
+  };
+
+  const linkSessionDataset = (sessionId, datasetId) =>
+    linkDataset(sessionId, datasetId).catch((err) => console.warn('[Datasets] could not link to session:', err.message));
+
+  const removeCsvDataset = () => {
+    if (datasetIds.csv && activeSessionId !== 'new') {
+      detachDataset(activeSessionId, datasetIds.csv).catch((err) => console.warn('[Datasets] detach failed:', err.message));
+    }
+    setCsvContext(null);
+    setSessionCsvRows(null);
+    setSessionCsvHeaders(null);
+    setCsvDataSummary(null);
+    setSessionSlimCsv(null);
+    setDatasetIds((prev) => ({ ...prev, csv: null }));
+    datasetUploadsRef.current = { ...datasetUploadsRef.current, csv: null };
+  };
+
+  const removeJsonDataset = () => {
+    if (datasetIds.json && activeSessionId !== 'new') {
+      detachDataset(activeSessionId, datasetIds.json).catch((err) => console.warn('[Datasets] detach failed:', err.message));
+    }
+    setJsonContext(null);
+    setSessionJsonData(null);
+    setJsonDataSummary(null);
+    setDatasetIds((prev) => ({ ...prev, json: null }));
+    datasetUploadsRef.current = { ...datasetUploadsRef.current, json: null };
+  };
+
   const processJsonFile = (text, fileName) => {
     try {
       const data = JSON.parse(text);
       const arr = Array.isArray(data) ? data : [data];
       if (!arr.length) return;
-      setJsonContext({ name: fileName, count: arr.length, fields: Object.keys(arr[0]) });
-      setSessionJsonData(arr);
+      const videos = applyJsonRows(arr);
+      setJsonContext({ name: fileName, count: videos.length, fields: Object.keys(videos[0]) });
+      uploadForServerTools('json', fileName, videos);
     } catch { /* invalid JSON */ }
   };
 
+  // The file is parsed as it is read; the start of the raw text is kept for the Python inline copy
+  const processCsvFile = async (file) => {
+    let head = '';
+    const chunks = async function* () {
+      for await (const chunk of fileTextChunks(file)) {
+        if (head.length <= MAX_INLINE_CSV_CHARS) head += chunk;
+        yield chunk;
+      }
+    };
+    const parsed = await parseCsvChunks(chunks());
+    if (!parsed.headers.length) return;
+    setCsvContext({
+      name: file.name,
+      headers: parsed.headers,
+      rowCount: parsed.rows.length,
+      delimiter: parsed.delimiter,
+      base64: toBase64(head.slice(0, MAX_INLINE_CSV_CHARS)),
+      truncated: head.length > MAX_INLINE_CSV_CHARS,
+    });
+    const { rows, headers } = enrichWithEngagement(parsed.rows, parsed.headers);
+    applyCsvRows(rows, headers);
+    uploadForServerTools('csv', file.name, rows);
+  };
+
   const handleDrop = async (e) => {
     e.preventDefault();
     setDragOver(false);
@@ -258,20 +513,7 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
       processJsonFile(text, file.name);
     }
 
-    if (csvFiles.length > 0) {
-      const file = csvFiles[0];
-      const text = await fileToText(file);
-      const parsed = parseCSV(text);
-      if (parsed) {
-        setCsvContext({ name: file.name, ...parsed });
-        const raw = parseCsvToRows(text);
-        const { rows, headers } = enrichWithEngagement(raw.rows, raw.headers);
-        setSessionCsvHeaders(headers);
-        setSessionCsvRows(rows);
-        setCsvDataSummary(computeDatasetSummary(rows, headers));
-        setSessionSlimCsv(buildSlimCsv(rows, headers));
-      }
-    }
+    if (csvFiles.length > 0) await processCsvFile(csvFiles[0]);
 
     if (imageFiles.length > 0) {
       const newImages = await Promise.all(
@@ -298,19 +540,7 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
       processJsonFile(text, jsonFiles[0].name);
     }
 
-    if (csvFiles.length > 0) {
-      const text = await fileToText(csvFiles[0]);
-      const parsed = parseCSV(text);
-      if (parsed) {
-        setCsvContext({ name: csvFiles[0].name, ...parsed });
-        const raw = parseCsvToRows(text);
-        const { rows, headers } = enrichWithEngagement(raw.rows, raw.headers);
-        setSessionCsvHeaders(headers);
-        setSessionCsvRows(rows);
-        setCsvDataSummary(computeDatasetSummary(rows, headers));
-        setSessionSlimCsv(buildSlimCsv(rows, headers));
-      }
-    }
+    if (csvFiles.length > 0) await processCsvFile(csvFiles[0]);
     if (imageFiles.length > 0) {
       const newImages = await Promise.all(
         imageFiles.map(async (f) => ({
@@ -344,72 +574,140 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
     setImages((prev) => [...prev, ...newImages.filter(Boolean)]);
   };
 
-  const handleStop = () => { abortRef.current = true; };
+  const handleStop = () => abortRef.current?.abort();
+
+  // ── Summarize channel ───────────────────────────────────────────────────────
+  // Summarizes every video of the stored channel JSON on the server, reusing
+  // cached summaries, and posts the summary cards as one answer.
+
+  const handleSummarizeChannel = async () => {
+    const sessionId = activeSessionId;
+    if (streaming || !datasetIds.json || !sessionId || sessionId === 'new') return;
+
+    const userContent = 'Summarize every video of the channel.';
+    const assistantId = `a-${Date.now()}`;
+    setMessages((m) => [
+      ...m,
+      { id: `u-${Date.now()}`, role: 'user', content: userContent, timestamp: new Date().toISOString() },
+      { id: assistantId, role: 'model', content: '⏳ Starting…', timestamp: new Date().toISOString() },
+    ]);
+    const updateAssistant = (patch) =>
+      setMessages((m) => m.map((msg) => (msg.id === assistantId ? { ...msg, ...patch } : msg)));
+    setStreaming(true);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    let content = '';
+    let cards = [];
+    try {
+      await saveMessage(sessionId, 'user', userContent);
+      try {
+        for await (const event of summarizeChannel(sessionId, datasetIds.json, controller.signal)) {
+          if (event.type === 'progress') content = `⏳ Summarizing ${event.done + 1} of ${event.total}: "${event.title}"…`;
+          else if (event.type === 'summary') cards = [...cards, event.card];
+          else if (event.type === 'done') {
+            const { summarized, cached, skipped } = event;
+            content = summarized + cached
+              ? `Summarized ${summarized + cached} videos (${summarized} new, ${cached} from the cache)` +
+                `${skipped ? `; ${skipped} skipped — no transcript, or the summary failed` : ''}.`
+              : 'No video of this channel has a transcript to summarize.';
+          }
+          updateAssistant({ content, videoCards: cards.length ? cards : undefined });
+        }
+      } catch (err) {
+        content = controller.signal.aborted ? `_(Stopped after ${cards.length} summaries)_` : `Error: ${err.message}`;
+        updateAssistant({ content });
+      }
+
+      await saveMessage(sessionId, 'model', content, { videoCards: cards });
+      setSessions((prev) =>
+        prev.map((s) => (s.id === sessionId ? { ...s, messageCount: s.messageCount + 2 } : s))
+      );
+    } catch (err) {
+      // Saving the request or the answer failed; the error goes under whatever arrived
+      updateAssistant({ content: [content, `Error: ${err.message}`].filter(Boolean).join('\n\n') });
+    } finally {
+      abortRef.current = null;
+      setStreaming(false);
+    }
+  };
 
   // ── Send message ────────────────────────────────────────────────────────────
 
   const handleSend = async () => {
     const text = input.trim();
     if ((!text && !images.length && !csvContext && !jsonContext) || streaming || !activeSessionId) return;
+    setStreaming(true);
+    try {
+      await sendTurn(text);
+    } catch (err) {
+      // Creating the session or saving (and uploading) a message failed; the model request handles its own errors
+      abortRef.current?.abort();
+      setMessages((m) => [...m, errorMessage(err)]);
+    } finally {
+      abortRef.current = null;
+      setStreaming(false);
+      inputRef.current?.focus();
+    }
+  };
 
+  const sendTurn = async (text) => {
     let sessionId = activeSessionId;
     if (sessionId === 'new') {
       const title = chatTitle();
-      const { id } = await createSession(username, 'assistant', title);
+      const { id } = await createSession('assistant', title, newChatProvider);
       sessionId = id;
       justCreatedSessionRef.current = true;
       setActiveSessionId(id);
-      setSessions((prev) => [{ id, agent: 'assistant', title, createdAt: new Date().toISOString(), messageCount: 0 }, ...prev]);
+      setSessions((prev) => [
+        { id, agent: 'assistant', title, createdAt: new Date().toISOString(), messageCount: 0, provider: newChatProvider },
+        ...prev,
+      ]);
+      Object.values(datasetUploadsRef.current).forEach((upload) =>
+        upload?.then((datasetId) => datasetId && linkSessionDataset(id, datasetId))
+      );
     }
 
-    // ── Route intent ──────────────────────────────────────────────────────────
-    const PYTHON_ONLY_KEYWORDS = /\b(regression|scatter|histogram|seaborn|matplotlib|numpy|time.?series|heatmap|box.?plot|violin|distribut|linear.?model|logistic|forecast|trend.?line)\b/i;
-    const wantPythonOnly = PYTHON_ONLY_KEYWORDS.test(text);
     const capturedCsv = csvContext;
     const capturedJson = jsonContext;
-    const hasJsonInSession = !!sessionJsonData || !!capturedJson;
-    const hasCsvData = !!sessionCsvRows || !!capturedCsv;
-    const needsBase64 = !!capturedCsv && wantPythonOnly;
-
-    // Detect image generation intent
-    const IMAGE_KEYWORDS = /\b(generate|create|make|draw|design)\b.*\b(image|picture|photo|illustration|thumbnail|artwork|poster|banner)\b/i;
-    const wantImage = IMAGE_KEYWORDS.test(text);
-
-    // JSON tools when JSON loaded OR when user wants image generation
-    // CSV tools when CSV rows exist (no Python needed)
-    // Code execution only for Python-specific requests WITH actual CSV data
-    // Everything else uses Google Search streaming
-    const useJsonTools = (hasJsonInSession || wantImage) && !wantPythonOnly;
-    const useCsvTools = !useJsonTools && !!sessionCsvRows && !wantPythonOnly && !capturedCsv;
-    const useCodeExecution = !useJsonTools && !useCsvTools && wantPythonOnly && hasCsvData;
+    const routeContext = {
+      hasCsv: !!sessionCsvRows || !!capturedCsv,
+      hasJson: !!sessionJsonData || !!capturedJson,
+      freshCsv: !!capturedCsv,
+      hasImages: images.length > 0,
+    };
 
     // ── Build prompt ──────────────────────────────────────────────────────────
-    const sessionSummary = csvDataSummary || '';
-    const slimCsvBlock = sessionSlimCsv
-      ? `\n\nFull dataset (key columns):\n\`\`\`csv\n${sessionSlimCsv}\n\`\`\``
-      : '';
-
-    let csvPrefix = '';
-    if (capturedCsv) {
-      csvPrefix = needsBase64
-        ? `[CSV File: "${capturedCsv.name}" | ${capturedCsv.rowCount} rows | Columns: ${capturedCsv.headers.join(', ')}]\n\n${sessionSummary}${slimCsvBlock}\n\nIMPORTANT — to load the full data in Python use this exact pattern:\n\`\`\`python\nimport pandas as pd, io, base64\ndf = pd.read_csv(io.BytesIO(base64.b64decode("${capturedCsv.base64}")))\n\`\`\`\n\n---\n\n`
-        : `[CSV File: "${capturedCsv.name}" | ${capturedCsv.rowCount} rows | Columns: ${capturedCsv.headers.join(', ')}]\n\n${sessionSummary}${slimCsvBlock}\n\n---\n\n`;
-    } else if (sessionSummary && !hasJsonInSession) {
-      csvPrefix = `[CSV columns: ${sessionCsvHeaders?.join(', ')}]\n\n${sessionSummary}\n\n---\n\n`;
+    // Dataset descriptions go as context blocks; the backend only forwards a block
+    // when the model hasn't already seen it in the recent turns.
+    const contextBlocks = [];
+    if (sessionCsvRows && csvDataSummary) {
+      const slimCsvBlock = sessionSlimCsv
+        ? `\n\nFull dataset (key columns):\n\`\`\`csv\n${sessionSlimCsv}\n\`\`\``
+        : '';
+      contextBlocks.push({
+        key: 'csv',
+        text: `[CSV data | ${sessionCsvRows.length} rows | Columns: ${sessionCsvHeaders.join(', ')}]\n\n${csvDataSummary}${slimCsvBlock}`,
+      });
     }
-
-    let jsonPrefix = '';
-    if (capturedJson && sessionJsonData) {
+    if (sessionJsonData?.length) {
       const fields = Object.keys(sessionJsonData[0] || {});
       const videoTitles = sessionJsonData.slice(0, 5).map((v) => `"${v.title}"`).join(', ');
-      jsonPrefix = `[YouTube Channel JSON: ${capturedJson.name} | ${sessionJsonData.length} videos | Fields: ${fields.join(', ')}]\nSample titles: ${videoTitles}${sessionJsonData.length > 5 ? '...' : ''}\n\n---\n\n`;
-    } else if (sessionJsonData && !capturedJson) {
-      const fields = Object.keys(sessionJsonData[0] || {});
-      jsonPrefix = `[YouTube Channel JSON loaded: ${sessionJsonData.length} videos | Fields: ${fields.join(', ')}]\n\n---\n\n`;
+      contextBlocks.push({
+        key: 'json',
+        text:
+          `[YouTube Channel JSON | ${sessionJsonData.length} videos | Fields: ${fields.join(', ')}]\n\n` +
+          `${jsonDataSummary ? `${jsonDataSummary}\n\n` : ''}` +
+          `Sample titles: ${videoTitles}${sessionJsonData.length > 5 ? '...' : ''}`,
+      });
     }
 
+    // Transcript / description passages for content questions (chat and tools paths only)
+    const passages = text && passageIndex ? retrievePassages(passageIndex, text) : [];
+
     const userContent = text || (images.length ? '(Image)' : capturedJson ? '(JSON attached)' : '(CSV attached)');
-    const promptForGemini = csvPrefix + jsonPrefix + (text || (images.length ? 'What do you see in this image?' : capturedJson ? 'Please analyze this YouTube channel data.' : 'Please analyze this CSV data.'));
+    const promptText = text || (images.length ? 'What do you see in this image?' : capturedJson ? 'Please analyze this YouTube channel data.' : 'Please analyze this CSV data.');
 
     const userMsg = {
       id: `u-${Date.now()}`,
@@ -427,62 +725,120 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
     setImages([]);
     setCsvContext(null);
     setJsonContext(null);
-    setStreaming(true);
 
-    await saveMessage(sessionId, 'user', userContent, capturedImages.length ? capturedImages : null);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
 
-    const imageParts = capturedImages.map((img) => ({ mimeType: img.mimeType, data: img.data }));
+    // ── Route intent ──────────────────────────────────────────────────────────
+    // The composer's mode wins; on Auto the backend classifies the message.
+    const routing =
+      composerMode === 'auto'
+        ? routeMessage(sessionId, promptText, routeContext, signal).catch(() => null)
+        : Promise.resolve({ mode: composerMode, reason: 'Chosen in the composer.', source: 'user' });
+    const [{ id: userMessageId }, routed] = await Promise.all([
+      saveMessage(sessionId, 'user', userContent, { images: capturedImages }),
+      routing,
+    ]);
+    // Only a Stop during routing leaves it empty; the request below then ends straight away
+    const route = routed || { mode: 'chat', reason: 'Stopped before routing finished.', source: 'rules' };
+    const usePassages = passages.length > 0 && (route.mode === 'chat' || route.mode === 'tools');
+    const citations = usePassages ? passageCitations(passages) : null;
+    const turn = {
+      sessionId,
+      messageId: userMessageId,
+      blocks: usePassages ? [...contextBlocks, { key: 'passages', text: passagesBlock(passages) }] : contextBlocks,
+    };
+
+    // The inline copy of a freshly attached CSV is only for this turn's Python run
+    const sepArg = capturedCsv?.delimiter && capturedCsv.delimiter !== ',' ? `, sep=${JSON.stringify(capturedCsv.delimiter)}` : '';
+    const csvPrefix = route.mode === 'python' && capturedCsv
+      ? `[CSV File: "${capturedCsv.name}" | ${capturedCsv.rowCount} rows]\n\nIMPORTANT — to load the full data in Python use this exact pattern:\n\`\`\`python\nimport pandas as pd, io, base64\ndf = pd.read_csv(io.BytesIO(base64.b64decode("${capturedCsv.base64}"))${sepArg})\n\`\`\`\n\n---\n\n`
+      : '';
+    const promptForGemini = csvPrefix + promptText;
 
-    const history = messages
-      .filter((m) => m.role === 'user' || m.role === 'model')
-      .map((m) => ({ role: m.role, content: m.content || messageText(m) }));
+    const imageParts = capturedImages.map((img) => ({ mimeType: img.mimeType, data: img.data }));
 
     const assistantId = `a-${Date.now()}`;
     setMessages((m) => [
       ...m,
-      { id: assistantId, role: 'model', content: '', timestamp: new Date().toISOString() },
+      { id: assistantId, role: 'model', content: '', timestamp: new Date().toISOString(), route, citations },
     ]);
 
-    abortRef.current = false;
+    const updateAssistant = (patch) =>
+      setMessages((m) => m.map((msg) => (msg.id === assistantId ? { ...msg, ...patch } : msg)));
 
     let fullContent = '';
     let groundingData = null;
     let structuredParts = null;
+    let codeParts = [];
     let toolCharts = [];
     let toolVideoCards = [];
+    let toolTables = [];
     let toolCalls = [];
     let generatedImage = null;
+    let toolRoundLimit = null;
 
     try {
-      if (useJsonTools) {
-        // ── JSON tool-calling path ────────────────────────────────────────────
-        const jsonFields = sessionJsonData?.length ? Object.keys(sessionJsonData[0]) : [];
-        const { text: answer, charts, videoCards, toolCalls: calls, imageGenRequest } = await chatWithJsonTools(
-          history,
-          promptForGemini,
-          jsonFields,
-          (toolName, args) => executeJsonTool(toolName, args, sessionJsonData || []),
-          userContextForAI
-        );
-        fullContent = answer;
-        toolCharts = charts || [];
-        toolVideoCards = videoCards || [];
-        toolCalls = calls || [];
+      signal.throwIfAborted();
+      if (route.mode === 'image') {
+        // ── Image path ────────────────────────────────────────────────────────
+        updateAssistant({ content: '⏳ Generating image... (this may take 1-2 minutes)' });
+        const { imageData, textResponse } = await generateImageWithGemini(promptText, imageParts, signal, sessionId);
+        generatedImage = imageData || null;
+        fullContent = textResponse || (imageData ? '' : '(Image generation returned no image data)');
+        updateAssistant({ content: fullContent, generatedImage: generatedImage || undefined });
+      } else if (route.mode === 'tools') {
+        // ── Tool-calling path ─────────────────────────────────────────────────
+        let runningTools = [];
+        let imageGenRequest = null;
+        const events = chatWithTools(turn, promptForGemini, {
+          csvHeaders: sessionCsvRows ? sessionCsvHeaders : null,
+          jsonFields: sessionJsonData?.length ? Object.keys(sessionJsonData[0]) : null,
+          datasetIds,
+          executeFn: (toolName, args) =>
+            executeRegisteredTool(toolName, args, { csvRows: sessionCsvRows, jsonRows: sessionJsonData }),
+          userContext: userContextForAI,
+          signal,
+        });
+
+        for await (const event of events) {
+          if (event.type === 'text') fullContent += event.text;
+          else if (event.type === 'toolStart') runningTools = [...runningTools, event];
+          else if (event.type === 'toolEnd') {
+            runningTools = runningTools.filter((t) => t.callId !== event.callId);
+            toolCalls = [...toolCalls, { name: event.name, args: event.args, result: event.result }];
+          } else if (event.type === 'chart') toolCharts = [...toolCharts, event.chart];
+          else if (event.type === 'videoCard') toolVideoCards = [...toolVideoCards, event.card];
+          else if (event.type === 'table') toolTables = [...toolTables, event.table];
+          else if (event.type === 'codeParts') codeParts = [...codeParts, ...event.parts];
+          else if (event.type === 'grounding') groundingData = event.data;
+          else if (event.type === 'imageRequest') imageGenRequest = event;
+          else if (event.type === 'done') toolRoundLimit = event.toolRoundLimit;
+
+          updateAssistant({
+            content: fullContent,
+            parts: codeParts.length ? [...codeParts, { type: 'text', text: fullContent }] : undefined,
+            charts: toolCharts.length ? toolCharts : undefined,
+            videoCards: toolVideoCards.length ? toolVideoCards : undefined,
+            tables: toolTables.length ? toolTables : undefined,
+            toolCalls: toolCalls.length ? toolCalls : undefined,
+            runningTools: runningTools.length ? runningTools : undefined,
+            grounding: groundingData || undefined,
+            toolRoundLimit: toolRoundLimit || undefined,
+          });
+        }
 
         // Handle image generation if requested
         if (imageGenRequest) {
           // Show progress while generating (takes 1-3 minutes)
-          setMessages((m) =>
-            m.map((msg) =>
-              msg.id === assistantId
-                ? { ...msg, content: fullContent + '\n\n⏳ Generating image... (this may take 1-2 minutes)' }
-                : msg
-            )
-          );
+          updateAssistant({ content: fullContent + '\n\n⏳ Generating image... (this may take 1-2 minutes)' });
           try {
             const { imageData, textResponse } = await generateImageWithGemini(
               imageGenRequest.prompt,
-              imageParts
+              imageParts,
+              signal,
+              sessionId
             );
             if (imageData) {
               generatedImage = imageData;
@@ -491,103 +847,77 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
               fullContent += '\n\n(Image generation returned no image data)';
             }
           } catch (err) {
+            if (signal.aborted) throw err;
             fullContent += `\n\n(Image generation failed: ${err.message})`;
           }
+          updateAssistant({ content: fullContent, generatedImage: generatedImage || undefined });
         }
-
-        setMessages((m) =>
-          m.map((msg) =>
-            msg.id === assistantId
-              ? {
-                  ...msg,
-                  content: fullContent,
-                  charts: toolCharts.length ? toolCharts : undefined,
-                  videoCards: toolVideoCards.length ? toolVideoCards : undefined,
-                  toolCalls: toolCalls.length ? toolCalls : undefined,
-                  generatedImage: generatedImage || undefined,
-                }
-              : msg
-          )
-        );
-      } else if (useCsvTools) {
-        // ── CSV tool-calling path ─────────────────────────────────────────────
-        const { text: answer, charts: returnedCharts, toolCalls: returnedCalls } = await chatWithCsvTools(
-          history,
-          promptForGemini,
-          sessionCsvHeaders,
-          (toolName, args) => executeTool(toolName, args, sessionCsvRows)
-        );
-        fullContent = answer;
-        toolCharts = returnedCharts || [];
-        toolCalls = returnedCalls || [];
-        setMessages((m) =>
-          m.map((msg) =>
-            msg.id === assistantId
-              ? {
-                  ...msg,
-                  content: fullContent,
-                  charts: toolCharts.length ? toolCharts : undefined,
-                  toolCalls: toolCalls.length ? toolCalls : undefined,
-                }
-              : msg
-          )
-        );
       } else {
         // ── Streaming path ────────────────────────────────────────────────────
-        for await (const chunk of streamChat(history, promptForGemini, imageParts, useCodeExecution, userContextForAI)) {
-          if (abortRef.current) break;
+        const useCodeExecution = route.mode === 'python';
+        for await (const chunk of streamChat(turn, promptForGemini, imageParts, useCodeExecution, userContextForAI, signal)) {
           if (chunk.type === 'text') {
             fullContent += chunk.text;
-            const snapshot = fullContent;
-            setMessages((m) =>
-              m.map((msg) => (msg.id === assistantId ? { ...msg, content: snapshot } : msg))
-            );
+            updateAssistant({ content: fullContent });
           } else if (chunk.type === 'fullResponse') {
             structuredParts = chunk.parts;
-            const partsSnapshot = structuredParts;
-            setMessages((m) =>
-              m.map((msg) =>
-                msg.id === assistantId ? { ...msg, content: '', parts: partsSnapshot } : msg
-              )
-            );
+            updateAssistant({ content: '', parts: structuredParts });
           } else if (chunk.type === 'grounding') {
             groundingData = chunk.data;
           }
         }
       }
     } catch (err) {
-      const errText = `Error: ${err.message}`;
-      setMessages((m) =>
-        m.map((msg) => (msg.id === assistantId ? { ...msg, content: errText } : msg))
-      );
-      fullContent = errText;
+      // Stop aborts the request: keep whatever arrived and save it as the answer
+      if (!signal.aborted) fullContent = `Error: ${err.message}`;
+      else if (!fullContent && !codeParts.length && !structuredParts) fullContent = '_(Stopped)_';
+      updateAssistant({ content: fullContent });
     }
 
-    if (groundingData) {
-      setMessages((m) =>
-        m.map((msg) => (msg.id === assistantId ? { ...msg, grounding: groundingData } : msg))
-      );
-    }
+    if (codeParts.length) structuredParts = [...codeParts, { type: 'text', text: fullContent }];
+    updateAssistant({
+      parts: structuredParts || undefined,
+      runningTools: undefined,
+      grounding: groundingData || undefined,
+    });
 
     const savedContent = structuredParts
       ? structuredParts.filter((p) => p.type === 'text').map((p) => p.text).join('\n')
       : fullContent;
-    await saveMessage(
-      sessionId, 'model', savedContent, null,
-      toolCharts.length ? toolCharts : null,
-      toolCalls.length ? toolCalls : null
-    );
+    await saveMessage(sessionId, 'model', savedContent, {
+      generatedImage,
+      parts: structuredParts,
+      charts: toolCharts,
+      toolCalls,
+      videoCards: toolVideoCards,
+      tables: toolTables,
+      toolRoundLimit,
+      route,
+      citations,
+    });
 
     setSessions((prev) =>
       prev.map((s) => (s.id === sessionId ? { ...s, messageCount: s.messageCount + 2 } : s))
     );
-
-    setStreaming(false);
-    inputRef.current?.focus();
   };
 
   const removeImage = (i) => setImages((prev) => prev.filter((_, idx) => idx !== i));
   const activeSession = sessions.find((s) => s.id === activeSessionId);
+  const activeProvider = (activeSession ? activeSession.provider : newChatProvider) || providers?.default;
+
+  // New chats remember the choice until they're created; existing ones switch right away.
+  const handleProviderChange = async (provider) => {
+    if (!activeSession) {
+      setNewChatProvider(provider);
+      return;
+    }
+    try {
+      await updateSessionProvider(activeSession.id, provider);
+      setSessions((prev) => prev.map((s) => (s.id === activeSession.id ? { ...s, provider } : s)));
+    } catch (err) {
+      console.warn('[Providers] switch failed:', err.message);
+    }
+  };
 
   const formatDate = (dateStr) => {
     const d = new Date(dateStr);
@@ -667,14 +997,34 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
       <div className="chat-main">
         <header className="chat-header">
           <h2 className="chat-header-title">{activeSession?.title ?? 'New Chat'}</h2>
+          {providers?.available.length > 1 && (
+            <select
+              className="chat-provider-select"
+              value={activeProvider}
+              onChange={(e) => handleProviderChange(e.target.value)}
+              disabled={streaming}
+              title="Model provider for this chat"
+            >
+              {providers.available.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          )}
         </header>
 
         <div
+          ref={messagesRef}
           className={`chat-messages${dragOver ? ' drag-over' : ''}`}
+          onScroll={(e) => { if (e.currentTarget.scrollTop < 120) loadOlderMessages(); }}
           onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
           onDragLeave={() => setDragOver(false)}
           onDrop={handleDrop}
         >
+          {hasOlderMessages && (
+            <div className="chat-load-older">
+              {loadingOlder ? 'Loading earlier messages…' : 'Scroll up for earlier messages'}
+            </div>
+          )}
           {messages.map((m) => (
             <div key={m.id} className={`chat-msg ${m.role}`}>
               <div className="chat-msg-meta">
@@ -684,6 +1034,13 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
                 </span>
               </div>
 
+              {m.route && (
+                <div className="msg-route" title={m.route.reason}>
+                  {m.route.source === 'user' ? 'Mode' : 'Routed to'}: <strong>{ROUTE_MODES[m.route.mode] || m.route.mode}</strong>
+                  {m.route.source !== 'user' && <span className="msg-route-reason"> — {m.route.reason}</span>}
+                </div>
+              )}
+
               {m.csvName && <div className="msg-csv-badge">📄 {m.csvName}</div>}
               {m.jsonName && <div className="msg-json-badge">📋 {m.jsonName}</div>}
 
@@ -698,9 +1055,11 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
               <div className="chat-msg-content">
                 {m.role === 'model' ? (
                   m.parts ? (
-                    <StructuredParts parts={m.parts} />
+                    <StructuredParts parts={m.parts} citations={m.citations} />
                   ) : m.content ? (
-                    <ReactMarkdown remarkPlugins={[remarkGfm]}>{m.content}</ReactMarkdown>
+                    <ReactMarkdown remarkPlugins={[remarkGfm]} components={markdownComponents}>
+                      {linkCitations(m.content, m.citations)}
+                    </ReactMarkdown>
                   ) : (
                     <span className="thinking-dots"><span /><span /><span /></span>
                   )
@@ -709,6 +1068,8 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
                 )}
               </div>
 
+              {m.role === 'model' && <CitationList text={m.content} citations={m.citations} />}
+
               {/* Generated image */}
               {m.generatedImage && (
                 <div className="generated-image-wrap">
@@ -739,7 +1100,7 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
                       <div key={i} className="tool-call-item">
                         <span className="tool-call-name">{tc.name}</span>
                         <span className="tool-call-args">{JSON.stringify(tc.args)}</span>
-                        {tc.result && !tc.result._chartType && !tc.result._cardType && !tc.result._actionType && (
+                        {tc.result && !tc.result._chartType && !tc.result._cardType && !tc.result._actionType && !tc.result._partsType && !tc.result._groundingType && (
                           <span className="tool-call-result">
                             → {JSON.stringify(tc.result).slice(0, 200)}
                             {JSON.stringify(tc.result).length > 200 ? '…' : ''}
@@ -751,10 +1112,24 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
                 </details>
               )}
 
+              {m.runningTools?.length > 0 && (
+                <div className="tool-running">
+                  {m.runningTools.map((t) => (
+                    <span key={t.callId} className="tool-running-item">⚙ {t.name}…</span>
+                  ))}
+                </div>
+              )}
+
+              {m.toolRoundLimit && (
+                <div className="tool-limit-notice">
+                  Stopped at the limit of {m.toolRoundLimit} model rounds while tools were still needed, so this answer may be incomplete. Ask to continue for the rest.
+                </div>
+              )}
+
               {/* Charts */}
               {m.charts?.map((chart, ci) =>
                 chart._chartType === 'engagement' ? (
-                  <EngagementChart key={ci} data={chart.data} metricColumn={chart.metricColumn} />
+                  <EngagementChart key={ci} data={chart.data} metricColumn={chart.metricColumn} noMatches={chart.noMatches} />
                 ) : chart._chartType === 'metric_vs_time' ? (
                   <MetricChart
                     key={ci}
@@ -763,14 +1138,39 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
                     chartTitle={chart.chartTitle}
                     onEnlarge={(src) => setLightboxSrc(src)}
                   />
+                ) : chart._chartType === 'bar' ? (
+                  <AggregateChart
+                    key={ci}
+                    data={chart.data}
+                    metric={chart.metric}
+                    aggregate={chart.aggregate}
+                    chartTitle={chart.chartTitle}
+                  />
+                ) : chart._chartType === 'scatter' ? (
+                  <CorrelationChart key={ci} chart={chart} />
+                ) : chart._chartType === 'heatmap' ? (
+                  <ScheduleHeatmap key={ci} chart={chart} />
+                ) : chart._chartType === 'topics' ? (
+                  <TopicClusters key={ci} chart={chart} />
                 ) : null
               )}
 
-              {/* Video cards */}
-              {m.videoCards?.map((card, vi) => (
-                <VideoCard key={vi} video={card} />
+              {/* Query results */}
+              {m.tables?.map((table, ti) => (
+                <VideoTable key={ti} table={table} />
               ))}
 
+              {/* Video cards */}
+              {m.videoCards?.map((card, vi) =>
+                card._cardType === 'comparison' ? (
+                  <VideoComparison key={vi} comparison={card} />
+                ) : card._cardType === 'summary' ? (
+                  <VideoSummary key={vi} summary={card} />
+                ) : (
+                  <VideoCard key={vi} video={card} />
+                )
+              )}
+
               {/* Search sources */}
               {m.grounding?.groundingChunks?.length > 0 && (
                 <div className="chat-msg-sources">
@@ -804,7 +1204,7 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
               <span className="csv-chip-icon">📄</span>
               <span className="csv-chip-name">{csvContext.name}</span>
               <span className="csv-chip-meta">{csvContext.rowCount} rows · {csvContext.headers.length} cols</span>
-              <button className="csv-chip-remove" onClick={() => setCsvContext(null)} aria-label="Remove CSV">×</button>
+              <button className="csv-chip-remove" onClick={removeCsvDataset} aria-label="Remove CSV">×</button>
             </div>
           )}
 
@@ -813,7 +1213,7 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
               <span className="json-chip-icon">📋</span>
               <span className="json-chip-name">{jsonContext.name}</span>
               <span className="json-chip-meta">{jsonContext.count} videos · {jsonContext.fields.length} fields</span>
-              <button className="json-chip-remove" onClick={() => { setJsonContext(null); setSessionJsonData(null); }} aria-label="Remove JSON">×</button>
+              <button className="json-chip-remove" onClick={removeJsonDataset} aria-label="Remove JSON">×</button>
             </div>
           )}
 
@@ -847,6 +1247,29 @@ export default function Chat({ username, firstName, lastName, onLogout, activeTa
             >
               📎
             </button>
+            <select
+              className="mode-select"
+              value={composerMode}
+              onChange={(e) => setComposerMode(e.target.value)}
+              disabled={streaming}
+              title="How the next message is answered. Auto lets the router decide."
+            >
+              <option value="auto">Auto</option>
+              {Object.entries(ROUTE_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>{label}</option>
+              ))}
+            </select>
+            {datasetIds.json && activeSessionId !== 'new' && (
+              <button
+                type="button"
+                className="attach-btn"
+                onClick={handleSummarizeChannel}
+                disabled={streaming}
+                title="Summarize every video with a transcript (cached summaries are reused)"
+              >
+                📝
+              </button>
+            )}
             <input
               ref={inputRef}
               type="text"
@@ -0,0 +1,91 @@
+import {
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from 'recharts';
+
+// Scatter chart for correlate_fields: points [{ x, y, title }], a two-point
+// trend line and the fit statistics. Log options switch the matching axis to a
+// log scale, where the fitted line is straight.
+
+const compact = (v) =>
+  v >= 1e6 ? `${parseFloat((v / 1e6).toFixed(1))}M` : v >= 1e3 ? `${parseFloat((v / 1e3).toFixed(1))}K` : +Number(v).toPrecision(3);
+
+function CustomTooltip({ active, payload, xField, yField }) {
+  if (!active || !payload?.length) return null;
+  const d = payload[0].payload;
+  if (d.title === undefined) return null; // trend-line endpoints
+  return (
+    <div style={{
+      background: 'rgba(15, 15, 35, 0.95)',
+      border: '1px solid rgba(255,255,255,0.12)',
+      borderRadius: 10,
+      padding: '0.65rem 0.9rem',
+      fontSize: '0.82rem',
+      fontFamily: 'Inter, sans-serif',
+      color: '#e2e8f0',
+      boxShadow: '0 8px 24px rgba(0,0,0,0.4)',
+      maxWidth: 260,
+    }}>
+      {d.title && <p style={{ margin: '0 0 0.3rem', fontWeight: 700, color: '#fff', fontSize: '0.78rem' }}>{d.title}</p>}
+      <p style={{ margin: '0 0 0.15rem', color: '#818cf8' }}>
+        {xField}: <strong>{Number(d.x).toLocaleString()}</strong>
+      </p>
+      <p style={{ margin: 0, color: '#34d399' }}>
+        {yField}: <strong>{Number(d.y).toLocaleString()}</strong>
+      </p>
+    </div>
+  );
+}
+
+const axisProps = (field, log) => ({
+  type: 'number',
+  dataKey: field,
+  scale: log ? 'log' : 'auto',
+  domain: ['auto', 'auto'],
+  tick: { fill: 'rgba(255,255,255,0.5)', fontSize: 11, fontFamily: 'Inter,sans-serif' },
+  tickFormatter: compact,
+  axisLine: { stroke: 'rgba(255,255,255,0.12)' },
+  tickLine: false,
+});
+
+export default function CorrelationChart({ chart }) {
+  if (!chart?.points?.length) return null;
+  const { points, trend, xField, yField, logX, logY, stats, chartTitle } = chart;
+
+  return (
+    <div className="engagement-chart-wrap">
+      <p className="engagement-chart-label">{chartTitle}</p>
+      <ResponsiveContainer width="100%" height={320}>
+        <ScatterChart margin={{ top: 8, right: 16, left: 8, bottom: 28 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.07)" />
+          <XAxis
+            {...axisProps('x', logX)}
+            name={xField}
+            label={{ value: logX ? `${xField} (log)` : xField, position: 'insideBottom', offset: -16, fill: 'rgba(255,255,255,0.5)', fontSize: 11 }}
+          />
+          <YAxis {...axisProps('y', logY)} name={yField} width={65} />
+          <Tooltip content={<CustomTooltip xField={xField} yField={yField} />} cursor={{ strokeDasharray: '3 3' }} />
+          <Scatter data={points} fill="#818cf8" fillOpacity={0.65} isAnimationActive={false} />
+          {trend?.length === 2 && (
+            <Scatter
+              data={trend}
+              line={{ stroke: '#34d399', strokeWidth: 2 }}
+              shape={() => null}
+              legendType="none"
+              isAnimationActive={false}
+            />
+          )}
+        </ScatterChart>
+      </ResponsiveContainer>
+      <p className="correlation-stats">
+        n = {stats.n} · Pearson r = {stats.pearson ?? '—'} · Spearman ρ = {stats.spearman ?? '—'} · R² = {stats.r2 ?? '—'}
+        {stats.droppedNonPositive ? ` · ${stats.droppedNonPositive} non-positive values left out of the log scale` : ''}
+      </p>
+    </div>
+  );
+}
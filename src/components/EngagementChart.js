@@ -28,7 +28,7 @@ function CustomTooltip({ active, payload, label }) {
       <p style={{ margin: '0 0 0.4rem', fontWeight: 700, color: '#fff' }}>{label}</p>
       {payload.map((p) => (
         <p key={p.dataKey} style={{ margin: '0.15rem 0', color: p.fill }}>
-          {p.name}: <strong>{p.value.toLocaleString()}</strong>
+          {p.name}: <strong>{p.value == null ? '—' : p.value.toLocaleString()}</strong>
           {p.payload[p.dataKey === 'withKeyword' ? 'withCount' : 'withoutCount'] !== undefined && (
             <span style={{ opacity: 0.55, marginLeft: 6 }}>
               (n={p.payload[p.dataKey === 'withKeyword' ? 'withCount' : 'withoutCount']})
@@ -36,16 +36,21 @@ function CustomTooltip({ active, payload, label }) {
           )}
         </p>
       ))}
+      {payload[0].payload.pValue != null && (
+        <p style={{ margin: '0.35rem 0 0', opacity: 0.6, fontSize: '0.74rem' }}>
+          p = {payload[0].payload.pValue}
+          {payload[0].payload.significant ? ' · significant' : ' · not significant'}
+        </p>
+      )}
     </div>
   );
 }
 
-export default function EngagementChart({ data, metricColumn = 'Favorite Count' }) {
-  console.log('[EngagementChart] render called, data:', data);
-  if (!data?.length) {
-    console.warn('[EngagementChart] no data — chart will not render');
-    return null;
-  }
+// Output of the keyword_impact tool: one group per keyword with the mean metric
+// with and without it, the sample counts and the Mann–Whitney p-value.
+// noMatches lists the keywords found nowhere, which have no bars.
+export default function EngagementChart({ data, metricColumn = 'Favorite Count', noMatches = [] }) {
+  if (!data?.length) return null;
 
   return (
     <div className="engagement-chart-wrap">
@@ -92,6 +97,9 @@ export default function EngagementChart({ data, metricColumn = 'Favorite Count'
           <Bar dataKey="withoutKeyword" name="Without keyword" fill={WITHOUT_COLOR} radius={[5, 5, 0, 0]} />
         </BarChart>
       </ResponsiveContainer>
+      {noMatches.length > 0 && (
+        <p className="correlation-stats">No matches for: {noMatches.join(', ')}</p>
+      )}
     </div>
   );
 }
@@ -1,8 +1,9 @@
 import { useState, useRef, useCallback } from 'react';
 import { createPortal } from 'react-dom';
 import {
-  LineChart,
+  ComposedChart,
   Line,
+  Area,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -10,9 +11,14 @@ import {
   ResponsiveContainer,
 } from 'recharts';
 
-function CustomTooltip({ active, payload }) {
+// forecast_metric results add points with { forecast, band: [lower, upper] }
+// after the history; the last real point carries both so the dashed line joins it.
+const hasForecast = (data) => data.some((d) => d.forecast != null);
+
+function CustomTooltip({ active, payload, metric }) {
   if (!active || !payload?.length) return null;
   const d = payload[0].payload;
+  const predicted = d.value == null && d.forecast != null;
   return (
     <div style={{
       background: 'rgba(15, 15, 35, 0.95)',
@@ -28,9 +34,19 @@ function CustomTooltip({ active, payload }) {
       <p style={{ margin: '0 0 0.3rem', fontWeight: 700, color: '#fff', fontSize: '0.78rem' }}>
         {d.title}
       </p>
-      <p style={{ margin: '0 0 0.15rem', color: '#818cf8' }}>
-        {payload[0].name}: <strong>{Number(d.value).toLocaleString()}</strong>
-      </p>
+      {predicted ? (
+        <p style={{ margin: '0 0 0.15rem', color: '#f59e0b' }}>
+          {metric}: <strong>{Math.round(d.forecast).toLocaleString()}</strong>
+          <br />
+          <span style={{ opacity: 0.75, fontSize: '0.72rem' }}>
+            {Math.round(d.band[0]).toLocaleString()} – {Math.round(d.band[1]).toLocaleString()}
+          </span>
+        </p>
+      ) : (
+        <p style={{ margin: '0 0 0.15rem', color: '#818cf8' }}>
+          {metric}: <strong>{Number(d.value).toLocaleString()}</strong>
+        </p>
+      )}
       <p style={{ margin: 0, opacity: 0.5, fontSize: '0.72rem' }}>{d.date}</p>
     </div>
   );
@@ -39,7 +55,7 @@ function CustomTooltip({ active, payload }) {
 function ChartBody({ data, metric, chartTitle, height }) {
   return (
     <ResponsiveContainer width="100%" height={height}>
-      <LineChart data={data} margin={{ top: 8, right: 16, left: 8, bottom: 64 }}>
+      <ComposedChart data={data} margin={{ top: 8, right: 16, left: 8, bottom: 64 }}>
         <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.07)" vertical={false} />
         <XAxis
           dataKey="label"
@@ -57,7 +73,17 @@ function ChartBody({ data, metric, chartTitle, height }) {
           width={65}
           tickFormatter={(v) => v >= 1e6 ? `${parseFloat((v / 1e6).toFixed(1))}M` : v >= 1e3 ? `${parseFloat((v / 1e3).toFixed(1))}K` : v}
         />
-        <Tooltip content={<CustomTooltip />} cursor={{ stroke: 'rgba(255,255,255,0.1)' }} />
+        <Tooltip content={<CustomTooltip metric={metric} />} cursor={{ stroke: 'rgba(255,255,255,0.1)' }} />
+        {hasForecast(data) && (
+          <Area
+            type="monotone"
+            dataKey="band"
+            stroke="none"
+            fill="#f59e0b"
+            fillOpacity={0.15}
+            isAnimationActive={false}
+          />
+        )}
         <Line
           type="monotone"
           dataKey="value"
@@ -67,12 +93,24 @@ function ChartBody({ data, metric, chartTitle, height }) {
           dot={{ r: 3, fill: '#818cf8' }}
           activeDot={{ r: 5, fill: '#a5b4fc' }}
         />
-      </LineChart>
+        {hasForecast(data) && (
+          <Line
+            type="monotone"
+            dataKey="forecast"
+            name="forecast"
+            stroke="#f59e0b"
+            strokeWidth={2}
+            strokeDasharray="6 4"
+            dot={{ r: 3, fill: '#f59e0b' }}
+            isAnimationActive={false}
+          />
+        )}
+      </ComposedChart>
     </ResponsiveContainer>
   );
 }
 
-function svgToPng(svgEl, scale = 2) {
+export function svgToPng(svgEl, scale = 2) {
   return new Promise((resolve) => {
     const clone = svgEl.cloneNode(true);
 
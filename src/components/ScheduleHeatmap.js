@@ -0,0 +1,80 @@
+import { useState } from 'react';
+
+// Day-of-week × hour-of-day grid for posting_schedule results. Cells are
+// [{ weekday (0 = Mon), hour, count, median }]; the toggle switches the shading
+// between the number of posts and the median metric of the posts in each slot.
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const HOURS = Array.from({ length: 24 }, (_, h) => h);
+
+const compact = (v) =>
+  v >= 1e6 ? `${parseFloat((v / 1e6).toFixed(1))}M` : v >= 1e3 ? `${parseFloat((v / 1e3).toFixed(1))}K` : +Number(v).toPrecision(3);
+
+const days = (n) => (n >= 1 ? `${+n.toFixed(1)} days` : `${+(n * 24).toFixed(1)} h`);
+
+export default function ScheduleHeatmap({ chart }) {
+  const [shade, setShade] = useState('count');
+  if (!chart?.cells?.length) return null;
+  const { cells, metric, chartTitle, dataset } = chart;
+  const unit = dataset === 'videos' ? 'videos' : 'posts';
+
+  const valueOf = (c) => (shade === 'count' ? c.count : c.median);
+  const max = Math.max(0, ...cells.map((c) => valueOf(c) ?? 0));
+  const grid = WEEKDAYS.map((_, d) => cells.filter((c) => c.weekday === d).sort((a, b) => a.hour - b.hour));
+  const longestGap = chart.longestGaps?.[0];
+
+  return (
+    <div className="engagement-chart-wrap">
+      <div className="metric-chart-header">
+        <p className="engagement-chart-label">{chartTitle}</p>
+        {metric && (
+          <div className="metric-chart-actions">
+            <button
+              className={`metric-chart-btn${shade === 'count' ? ' active' : ''}`}
+              onClick={() => setShade('count')}
+            >
+              {unit}
+            </button>
+            <button
+              className={`metric-chart-btn${shade === 'median' ? ' active' : ''}`}
+              onClick={() => setShade('median')}
+            >
+              median {metric}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="heatmap-grid">
+        <span />
+        {HOURS.map((h) => (
+          <span key={h} className="heatmap-hour">{h % 3 === 0 ? h : ''}</span>
+        ))}
+        {grid.map((row, d) => [
+          <span key={`day-${d}`} className="heatmap-day">{WEEKDAYS[d]}</span>,
+          ...row.map((c) => {
+            const value = valueOf(c);
+            const title =
+              `${WEEKDAYS[d]} ${String(c.hour).padStart(2, '0')}:00 — ${c.count} ${unit}` +
+              (metric && c.median != null ? `, median ${metric} ${Number(c.median).toLocaleString()}` : '');
+            return (
+              <span
+                key={`${d}-${c.hour}`}
+                className="heatmap-cell"
+                title={title}
+                style={{ background: value && max ? `rgba(129, 140, 248, ${0.15 + 0.85 * (value / max)})` : undefined }}
+              />
+            );
+          }),
+        ])}
+      </div>
+
+      <p className="correlation-stats">
+        {chart.posts} {unit} · {chart.perWeek} per week · median gap {days(chart.medianGapDays)}
+        {longestGap && ` · longest gap ${days(longestGap.days)} (${longestGap.from} → ${longestGap.to})`}
+        {` · longest streak ${chart.longestDailyStreak.days} days / ${chart.longestWeeklyStreak.weeks} weeks`}
+        {shade === 'median' && max ? ` · darkest = ${compact(max)}` : ''}
+      </p>
+    </div>
+  );
+}
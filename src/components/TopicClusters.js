@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer,
+} from 'recharts';
+
+// Chart for cluster_topics: one bar per theme (median views, or median likes
+// per view with the toggle) against the channel-wide median, and below it each
+// theme's top terms with an expandable list of its videos, most viewed first.
+
+const MEASURES = {
+  medianViews: { label: 'median views', format: (v) => Math.round(v).toLocaleString() },
+  medianLikesPerView: { label: 'median likes / view', format: (v) => `${(v * 100).toFixed(2)}%` },
+};
+
+const compact = (v) =>
+  v >= 1e6 ? `${parseFloat((v / 1e6).toFixed(1))}M` : v >= 1e3 ? `${parseFloat((v / 1e3).toFixed(1))}K` : +Number(v).toPrecision(3);
+
+function CustomTooltip({ active, payload, measure }) {
+  if (!active || !payload?.length) return null;
+  const d = payload[0].payload;
+  return (
+    <div style={{
+      background: 'rgba(15, 15, 35, 0.95)',
+      border: '1px solid rgba(255,255,255,0.12)',
+      borderRadius: 10,
+      padding: '0.65rem 0.9rem',
+      fontSize: '0.82rem',
+      fontFamily: 'Inter, sans-serif',
+      color: '#e2e8f0',
+      boxShadow: '0 8px 24px rgba(0,0,0,0.4)',
+      maxWidth: 260,
+    }}>
+      <p style={{ margin: '0 0 0.3rem', fontWeight: 700, color: '#fff' }}>{d.terms.join(', ')}</p>
+      <p style={{ margin: '0 0 0.15rem', color: '#818cf8' }}>
+        {MEASURES[measure].label}: <strong>{d[measure] == null ? '—' : MEASURES[measure].format(d[measure])}</strong>
+      </p>
+      <p style={{ margin: 0, opacity: 0.5, fontSize: '0.72rem' }}>{d.count} videos</p>
+    </div>
+  );
+}
+
+export default function TopicClusters({ chart }) {
+  const [measure, setMeasure] = useState('medianViews');
+  if (!chart?.clusters?.length) return null;
+  const { clusters, overall, chartTitle } = chart;
+  const { format } = MEASURES[measure];
+
+  return (
+    <div className="engagement-chart-wrap">
+      <div className="metric-chart-header">
+        <p className="engagement-chart-label">{chartTitle}</p>
+        <div className="metric-chart-actions">
+          {Object.entries(MEASURES).map(([key, { label }]) => (
+            <button
+              key={key}
+              className={`metric-chart-btn${measure === key ? ' active' : ''}`}
+              onClick={() => setMeasure(key)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <ResponsiveContainer width="100%" height={280}>
+        <BarChart data={clusters} margin={{ top: 8, right: 16, left: 8, bottom: 64 }} barCategoryGap="25%">
+          <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.07)" vertical={false} />
+          <XAxis
+            dataKey="label"
+            tick={{ fill: 'rgba(255,255,255,0.5)', fontSize: 11, fontFamily: 'Inter,sans-serif' }}
+            axisLine={{ stroke: 'rgba(255,255,255,0.12)' }}
+            tickLine={false}
+            angle={-30}
+            textAnchor="end"
+            interval={0}
+          />
+          <YAxis
+            tick={{ fill: 'rgba(255,255,255,0.5)', fontSize: 11, fontFamily: 'Inter,sans-serif' }}
+            axisLine={false}
+            tickLine={false}
+            width={65}
+            tickFormatter={measure === 'medianViews' ? compact : (v) => `${+(v * 100).toPrecision(3)}%`}
+          />
+          <Tooltip content={<CustomTooltip measure={measure} />} cursor={{ fill: 'rgba(255,255,255,0.05)' }} />
+          {overall[measure] != null && (
+            <ReferenceLine y={overall[measure]} stroke="#34d399" strokeDasharray="4 4" />
+          )}
+          <Bar dataKey={measure} fill="#818cf8" radius={[4, 4, 0, 0]} isAnimationActive={false} />
+        </BarChart>
+      </ResponsiveContainer>
+      {overall[measure] != null && (
+        <p className="correlation-stats">Dashed line: channel {MEASURES[measure].label} ({format(overall[measure])})</p>
+      )}
+
+      <div className="topic-clusters">
+        {clusters.map((c) => (
+          <details key={c.id} className="topic-cluster">
+            <summary>
+              <span className="topic-cluster-terms">{c.terms.join(', ')}</span>
+              <span className="topic-cluster-meta">
+                {c.count} videos
+                {c.medianViews != null && ` · ${MEASURES.medianViews.format(c.medianViews)} median views`}
+                {c.medianLikesPerView != null && ` · ${MEASURES.medianLikesPerView.format(c.medianLikesPerView)} likes / view`}
+              </span>
+            </summary>
+            <ol className="topic-cluster-videos">
+              {c.videos.map((v) => (
+                <li key={v.videoId}>
+                  <a href={v.videoUrl} target="_blank" rel="noreferrer">{v.title}</a>
+                  {v.viewCount != null && <span className="topic-cluster-views"> · {compact(v.viewCount)} views</span>}
+                </li>
+              ))}
+            </ol>
+          </details>
+        ))}
+      </div>
+      {chart.unclustered > 0 && (
+        <p className="correlation-stats">{chart.unclustered} videos had too little text in common with the rest to place.</p>
+      )}
+    </div>
+  );
+}
@@ -5,6 +5,11 @@ export default function VideoCard({ video }) {
     ? `${Math.floor(video.duration / 60)}:${String(video.duration % 60).padStart(2, '0')}`
     : '';
 
+  // Set on find_outliers cards: { kind: 'breakout' | 'flop', score, ratio }
+  const outlier = video.outlier;
+  // Set on search_transcripts cards: { timestamp, before, match, after }
+  const hit = video.transcriptHit;
+
   return (
     <div className="video-card">
       <a
@@ -20,6 +25,7 @@ export default function VideoCard({ video }) {
             className="video-card-thumb"
           />
           {duration && <span className="video-card-duration">{duration}</span>}
+          {hit?.timestamp && <span className="video-card-timestamp">▶ {hit.timestamp}</span>}
           <div className="video-card-play-icon">▶</div>
         </div>
         <div className="video-card-info">
@@ -30,6 +36,17 @@ export default function VideoCard({ video }) {
             )}
             {video.releaseDate && <span>{video.releaseDate}</span>}
           </div>
+          {hit && (
+            <p className="video-card-quote">
+              {hit.before}<mark>{hit.match}</mark>{hit.after}
+            </p>
+          )}
+          {outlier && (
+            <div className={`video-card-outlier ${outlier.kind}`}>
+              {outlier.kind === 'breakout' ? '▲ Breakout' : '▼ Flop'} · score {outlier.score > 0 ? '+' : ''}{outlier.score}
+              {outlier.ratio != null && ` · ${outlier.ratio}× nearby uploads`}
+            </div>
+          )}
         </div>
       </a>
     </div>
@@ -0,0 +1,69 @@
+// Side-by-side card for compare_videos: one column per video with its
+// thumbnail, the metrics and each metric's % difference from the channel median.
+
+const ROWS = [
+  { field: 'viewCount', label: 'Views' },
+  { field: 'likeCount', label: 'Likes' },
+  { field: 'commentCount', label: 'Comments' },
+  { field: 'duration', label: 'Duration' },
+  { field: 'ageDays', label: 'Age' },
+  { field: 'likesPerView', label: 'Likes / view' },
+  { field: 'commentsPerView', label: 'Comments / view' },
+  { field: 'viewsPerDay', label: 'Views / day' },
+];
+
+const formatValue = (field, value) => {
+  if (value == null) return '—';
+  if (field === 'duration') return `${Math.floor(value / 60)}:${String(Math.round(value % 60)).padStart(2, '0')}`;
+  if (field === 'ageDays') return `${value.toLocaleString()} d`;
+  if (field.endsWith('PerView')) return `${(value * 100).toFixed(2)}%`;
+  return Math.round(value).toLocaleString();
+};
+
+function Diff({ pct }) {
+  if (pct == null) return null;
+  const cls = pct > 0 ? 'up' : pct < 0 ? 'down' : '';
+  return <span className={`video-compare-diff ${cls}`}>{pct > 0 ? '+' : ''}{pct}%</span>;
+}
+
+export default function VideoComparison({ comparison }) {
+  if (!comparison?.videos?.length) return null;
+  const { videos, medians } = comparison;
+  // Rows nobody has a value for (e.g. likes missing from the export) are left out
+  const rows = ROWS.filter(({ field }) => videos.some((v) => v.metrics[field] != null));
+
+  return (
+    <div className="video-compare">
+      <table className="video-compare-table">
+        <thead>
+          <tr>
+            <th />
+            {videos.map((v) => (
+              <th key={v.videoId}>
+                <a href={v.videoUrl} target="_blank" rel="noreferrer" className="video-compare-link">
+                  <img src={v.thumbnailUrl} alt={v.title} className="video-compare-thumb" />
+                  <span className="video-compare-title">{v.title}</span>
+                </a>
+              </th>
+            ))}
+            <th className="video-compare-median">Channel median</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ field, label }) => (
+            <tr key={field}>
+              <td className="video-compare-label">{label}</td>
+              {videos.map((v) => (
+                <td key={v.videoId}>
+                  {formatValue(field, v.metrics[field])}
+                  <Diff pct={v.vsMedian[field]} />
+                </td>
+              ))}
+              <td className="video-compare-median">{formatValue(field, medians[field])}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
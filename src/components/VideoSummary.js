@@ -0,0 +1,56 @@
+import { useState } from 'react';
+
+// Card for summarize_video and the "Summarize channel" action: the video, its
+// transcript summary and key topics, and a chapter list whose entries open the
+// video at their start. The chapters fold away once there are more than a few.
+
+const COLLAPSED_CHAPTERS = 5;
+
+export default function VideoSummary({ summary }) {
+  const [expanded, setExpanded] = useState(false);
+  if (!summary) return null;
+  const { title, thumbnailUrl, videoUrl, releaseDate, topics = [], chapters = [], cached } = summary;
+  const shown = expanded ? chapters : chapters.slice(0, COLLAPSED_CHAPTERS);
+
+  return (
+    <div className="video-summary">
+      <a href={videoUrl} target="_blank" rel="noreferrer" className="video-summary-head">
+        <img src={thumbnailUrl} alt={title} className="video-summary-thumb" />
+        <div>
+          <h4 className="video-card-title">{title}</h4>
+          <div className="video-card-stats">
+            {releaseDate && <span>{releaseDate}</span>}
+            <span>{cached ? 'Cached summary' : 'New summary'}</span>
+          </div>
+        </div>
+      </a>
+
+      <p className="video-summary-text">{summary.summary}</p>
+
+      {topics.length > 0 && (
+        <div className="video-summary-topics">
+          {topics.map((t) => (
+            <span key={t} className="video-summary-topic">{t}</span>
+          ))}
+        </div>
+      )}
+
+      {chapters.length > 0 && (
+        <ol className="video-summary-chapters">
+          {shown.map((c) => (
+            <li key={c.start}>
+              <a href={c.url} target="_blank" rel="noreferrer">
+                <span className="video-summary-time">{c.timestamp}</span> {c.title}
+              </a>
+            </li>
+          ))}
+        </ol>
+      )}
+      {chapters.length > COLLAPSED_CHAPTERS && (
+        <button className="metric-chart-btn" onClick={() => setExpanded((e) => !e)}>
+          {expanded ? 'Fewer chapters' : `All ${chapters.length} chapters`}
+        </button>
+      )}
+    </div>
+  );
+}
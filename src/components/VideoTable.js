@@ -0,0 +1,69 @@
+import { useState } from 'react';
+import { compareCells } from '../services/jsonTools';
+
+// Result of the query_videos tool: { columns, rows, matched, total, sortBy, ascending }.
+// Clicking a header sorts by that column; clicking it again flips the order.
+
+const formatCell = (column, value) => {
+  if (value == null || value === '') return '—';
+  if (column === 'duration' && !isNaN(Number(value))) {
+    const s = Number(value);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+  }
+  if (typeof value === 'number') return value.toLocaleString();
+  return String(value);
+};
+
+export default function VideoTable({ table }) {
+  const [sort, setSort] = useState({ column: table?.sortBy, ascending: !!table?.ascending });
+  if (!table?.rows?.length) return null;
+
+  const rows = [...table.rows].sort((a, b) => {
+    const order = compareCells(a[sort.column], b[sort.column]);
+    const missing = a[sort.column] == null || b[sort.column] == null;
+    return missing || sort.ascending ? order : -order;
+  });
+
+  const toggleSort = (column) =>
+    setSort((prev) => ({ column, ascending: prev.column === column ? !prev.ascending : false }));
+
+  return (
+    <div className="video-table-wrap">
+      <p className="video-table-label">
+        {table.rows.length < table.matched
+          ? `${table.rows.length} of ${table.matched} matching videos`
+          : `${table.matched} matching video${table.matched === 1 ? '' : 's'}`}
+        {table.total ? ` · ${table.total} in channel` : ''}
+      </p>
+      <div className="video-table-scroll">
+        <table className="video-table">
+          <thead>
+            <tr>
+              {table.columns.map((c) => (
+                <th key={c} onClick={() => toggleSort(c)} className={sort.column === c ? 'sorted' : ''}>
+                  {c}
+                  {sort.column === c && <span className="video-table-arrow">{sort.ascending ? ' ▲' : ' ▼'}</span>}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, ri) => (
+              <tr key={ri}>
+                {table.columns.map((c) => (
+                  <td key={c}>
+                    {c === 'title' && row.videoUrl ? (
+                      <a href={row.videoUrl} target="_blank" rel="noreferrer">{formatCell(c, row[c])}</a>
+                    ) : (
+                      formatCell(c, row[c])
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,579 @@
+import { FILTER_SCHEMA, resolveField, applyVideoFilter } from './jsonTools.js';
+
+// ── Analysis tools ───────────────────────────────────────────────────────────
+// Statistics that work the same on the YouTube videos (JSON) and the tweet rows
+// (CSV). Every call names its dataset, so the registry can run it wherever that
+// dataset is loaded.
+
+const DATASET_PARAM = {
+  type: 'STRING',
+  description: '"videos" for the YouTube channel JSON, "tweets" for the CSV rows.',
+};
+
+export const ANALYSIS_TOOL_DECLARATIONS = [
+  {
+    name: 'correlate_fields',
+    description:
+      'Measure how two numeric fields relate — e.g. "does video length correlate with views?" or "do longer tweets get more likes?". ' +
+      'Computes Pearson and Spearman correlation and a least-squares line with R², optionally on log scales, ' +
+      'and shows the user a scatter chart with the trend line. Use exact field / column names from the data.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        dataset: DATASET_PARAM,
+        x: { type: 'STRING', description: 'Field on the X axis (the explanatory variable), e.g. "duration".' },
+        y: { type: 'STRING', description: 'Field on the Y axis (the outcome), e.g. "viewCount".' },
+        log_x: { type: 'BOOLEAN', description: 'Use log10 of x (for skewed counts); non-positive values are dropped.' },
+        log_y: { type: 'BOOLEAN', description: 'Use log10 of y (for skewed counts); non-positive values are dropped.' },
+        filter: { ...FILTER_SCHEMA, description: 'Optional, videos only: restrict to the videos that meet every condition.' },
+        title: { type: 'STRING', description: 'Optional title for the chart.' },
+      },
+      required: ['dataset', 'x', 'y'],
+    },
+  },
+  {
+    name: 'keyword_impact',
+    description:
+      'Compare a metric between items whose title (videos) or text (tweets) contains a keyword and items that don\'t — ' +
+      'e.g. "do videos with \'tutorial\' in the title get more views?" or "which words go with engaging tweets?". ' +
+      'For each keyword returns the mean with and without it, both sample counts and a Mann–Whitney significance test, ' +
+      'and shows the user a grouped bar chart. Leave keywords out to test the most frequent terms automatically.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        dataset: DATASET_PARAM,
+        metric: {
+          type: 'STRING',
+          description: 'Numeric field to compare. Defaults to viewCount for videos and engagement (or Favorite Count) for tweets.',
+        },
+        keywords: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'Words or phrases to test (case-insensitive, whole words). Omit to pick frequent terms.',
+        },
+        top_n: { type: 'NUMBER', description: 'How many frequent terms to test when keywords are omitted (default 8, max 20).' },
+        filter: { ...FILTER_SCHEMA, description: 'Optional, videos only: restrict to the videos that meet every condition.' },
+      },
+      required: ['dataset'],
+    },
+  },
+  {
+    name: 'posting_schedule',
+    description:
+      'Analyse when the channel publishes — videos by release date, tweets by "Created At": posting frequency, gaps between posts, ' +
+      'streaks of consecutive days and weeks, a day-of-week × hour-of-day heatmap, and how a metric varies by weekday and time of day. ' +
+      'The heatmap is shown to the user. Use this for "when do they post", "upload cadence", "best time to post".',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        dataset: DATASET_PARAM,
+        time_zone: {
+          type: 'STRING',
+          description: 'IANA time zone for days and hours, e.g. "America/New_York". Defaults to UTC.',
+        },
+        metric: {
+          type: 'STRING',
+          description: 'Numeric field compared across slots. Defaults to viewCount for videos and engagement (or Favorite Count) for tweets.',
+        },
+        filter: { ...FILTER_SCHEMA, description: 'Optional, videos only: restrict to the videos that meet every condition.' },
+      },
+      required: ['dataset'],
+    },
+  },
+];
+
+// ── Datasets ─────────────────────────────────────────────────────────────────
+
+// Which loaded dataset a call needs: 'json' | 'csv' | null.
+export const analysisDatasetKind = (args) =>
+  args?.dataset === 'videos' ? 'json' : args?.dataset === 'tweets' ? 'csv' : null;
+
+const tweetTextColumn = (headers) =>
+  headers.find((h) => /^text$/i.test(h)) || headers.find((h) => /text|content|tweet|body/i.test(h));
+
+// { rows, label(row), text(row) } for the dataset the call names, or { error }.
+// label is a short display title; text is what keyword tests search.
+function pickDataset(args, { csvRows, jsonRows }) {
+  const kind = analysisDatasetKind(args);
+  if (!kind) return { error: 'dataset must be "videos" or "tweets".' };
+  if (kind === 'json') {
+    if (!jsonRows?.length) return { error: 'No YouTube channel JSON is loaded.' };
+    const { videos, error } = applyVideoFilter(jsonRows, args.filter);
+    return error ? { error } : { rows: videos, label: (v) => v.title || '', text: (v) => v.title || '' };
+  }
+  if (!csvRows?.length) return { error: 'No CSV data is loaded.' };
+  const textCol = tweetTextColumn(Object.keys(csvRows[0]));
+  const text = (r) => String((textCol && r[textCol]) || '');
+  return { rows: csvRows, label: (r) => text(r).slice(0, 80), text };
+}
+
+// ── Statistics ───────────────────────────────────────────────────────────────
+
+const fmt = (n) => (Number.isFinite(n) ? +n.toFixed(4) : null);
+const mean = (vals) => vals.reduce((a, b) => a + b, 0) / vals.length;
+
+function pearson(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : NaN;
+}
+
+// 1-based ranks, ties sharing their average rank
+function ranks(vals) {
+  const order = vals.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+  const out = new Array(vals.length);
+  for (let i = 0; i < order.length; ) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    for (let k = i; k <= j; k++) out[order[k][1]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return out;
+}
+
+const spearman = (xs, ys) => pearson(ranks(xs), ranks(ys));
+
+// Least squares y = intercept + slope·x
+function ols(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+  }
+  const slope = sxx ? sxy / sxx : NaN;
+  const intercept = my - slope * mx;
+  const ssTot = ys.reduce((a, y) => a + (y - my) ** 2, 0);
+  const ssRes = ys.reduce((a, y, i) => a + (y - (intercept + slope * xs[i])) ** 2, 0);
+  return { slope, intercept, r2: ssTot ? 1 - ssRes / ssTot : NaN };
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * (Math.abs(z) / Math.SQRT2));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Two-sided Mann–Whitney U test with the normal approximation and tie correction.
+// Rank-based, so a few viral outliers don't decide it the way they would a t-test.
+function mannWhitney(a, b) {
+  const n1 = a.length;
+  const n2 = b.length;
+  const all = [...a, ...b];
+  const r = ranks(all);
+  const rankSumA = r.slice(0, n1).reduce((s, v) => s + v, 0);
+  const u = rankSumA - (n1 * (n1 + 1)) / 2;
+
+  const counts = new Map();
+  for (const v of all) counts.set(v, (counts.get(v) || 0) + 1);
+  const n = n1 + n2;
+  const tieTerm = [...counts.values()].reduce((s, t) => s + (t ** 3 - t), 0) / (n * (n - 1));
+  const sigma = Math.sqrt(((n1 * n2) / 12) * (n + 1 - tieTerm));
+  if (!sigma) return { u, pValue: 1 };
+  const z = (u - (n1 * n2) / 2) / sigma;
+  return { u, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+const strength = (r) => {
+  const a = Math.abs(r);
+  if (!Number.isFinite(a)) return 'undefined';
+  const size = a < 0.1 ? 'no meaningful' : a < 0.3 ? 'a weak' : a < 0.5 ? 'a moderate' : 'a strong';
+  return a < 0.1 ? `${size} correlation` : `${size} ${r > 0 ? 'positive' : 'negative'} correlation`;
+};
+
+// ── correlate_fields ─────────────────────────────────────────────────────────
+
+const MAX_SCATTER_POINTS = 1000;
+
+function correlateFields(args, datasets) {
+  const { rows, label, error } = pickDataset(args, datasets);
+  if (error) return { error };
+  const available = rows.length ? Object.keys(rows[0]) : [];
+  const xField = resolveField(rows, args.x);
+  const yField = resolveField(rows, args.y);
+  for (const [given, field] of [[args.x, xField], [args.y, yField]]) {
+    if (!available.includes(field)) return { error: `Unknown field "${given}". Available: ${available.join(', ')}` };
+  }
+
+  const logX = !!args.log_x;
+  const logY = !!args.log_y;
+  const points = [];
+  let dropped = 0;
+  for (const row of rows) {
+    const x = parseFloat(row[xField]);
+    const y = parseFloat(row[yField]);
+    if (isNaN(x) || isNaN(y)) continue;
+    if ((logX && x <= 0) || (logY && y <= 0)) {
+      dropped++;
+      continue;
+    }
+    points.push({ x, y, title: label(row) });
+  }
+  if (points.length < 3) return { error: `Need at least 3 rows with numeric ${xField} and ${yField}; found ${points.length}.` };
+
+  // Statistics run on the transformed values; the chart keeps the raw ones on log axes
+  const xs = points.map((p) => (logX ? Math.log10(p.x) : p.x));
+  const ys = points.map((p) => (logY ? Math.log10(p.y) : p.y));
+  const fit = ols(xs, ys);
+  const r = pearson(xs, ys);
+  const rho = spearman(xs, ys);
+
+  const xMin = Math.min(...xs);
+  const xMax = Math.max(...xs);
+  const untransform = (v, log) => (log ? 10 ** v : v);
+  const trend = Number.isFinite(fit.slope)
+    ? [xMin, xMax].map((tx) => ({
+        x: untransform(tx, logX),
+        y: untransform(fit.intercept + fit.slope * tx, logY),
+      }))
+    : [];
+
+  // Evenly thinned for the chart; the statistics use every point
+  const step = Math.ceil(points.length / MAX_SCATTER_POINTS);
+  const shown = step > 1 ? points.filter((_, i) => i % step === 0) : points;
+
+  const axis = (field, log) => (log ? `log10(${field})` : field);
+  return {
+    _chartType: 'scatter',
+    chartTitle: args.title || `${yField} vs ${xField}`,
+    dataset: args.dataset,
+    xField,
+    yField,
+    logX,
+    logY,
+    points: shown,
+    trend,
+    stats: {
+      n: points.length,
+      pearson: fmt(r),
+      spearman: fmt(rho),
+      slope: fmt(fit.slope),
+      intercept: fmt(fit.intercept),
+      r2: fmt(fit.r2),
+      model: `${axis(yField, logY)} = ${fmt(fit.intercept)} + ${fmt(fit.slope)} × ${axis(xField, logX)}`,
+      ...(dropped && { droppedNonPositive: dropped }),
+    },
+  };
+}
+
+// ── keyword_impact ───────────────────────────────────────────────────────────
+
+const STOP_WORDS = new Set(
+  ('the and for with you your this that from are was were have has had not but all any can will just into out ' +
+    'about how what when why who which its it\'s our their they them then than there here more most very so too ' +
+    'get got one two new via amp http https www com')
+    .split(' ')
+);
+const MIN_GROUP = 3;
+const MAX_KEYWORDS = 20;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const keywordPattern = (k) => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(k)}($|[^\\p{L}\\p{N}])`, 'iu');
+
+// Terms in at least MIN_GROUP items but not nearly all of them, most frequent first
+function frequentTerms(texts, topN) {
+  const docFreq = new Map();
+  for (const text of texts) {
+    const words = new Set(text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'’-]{2,}/gu) || []);
+    for (const w of words) {
+      if (!STOP_WORDS.has(w) && !/^\d+$/.test(w)) docFreq.set(w, (docFreq.get(w) || 0) + 1);
+    }
+  }
+  return [...docFreq.entries()]
+    .filter(([, df]) => df >= MIN_GROUP && df <= texts.length - MIN_GROUP)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, topN)
+    .map(([w]) => w);
+}
+
+const defaultMetric = (args, available) =>
+  args.dataset === 'videos'
+    ? 'viewCount'
+    : available.includes('engagement')
+      ? 'engagement'
+      : available.find((h) => /favorite.?count/i.test(h)) || available.find((h) => /view.?count/i.test(h));
+
+function keywordImpact(args, datasets) {
+  const { rows, text, error } = pickDataset(args, datasets);
+  if (error) return { error };
+  const available = rows.length ? Object.keys(rows[0]) : [];
+  const metric = resolveField(rows, args.metric || defaultMetric(args, available));
+  if (!available.includes(metric)) return { error: `Unknown field "${args.metric}". Available: ${available.join(', ')}` };
+
+  const items = rows
+    .map((row) => ({ value: parseFloat(row[metric]), text: text(row) }))
+    .filter((item) => !isNaN(item.value));
+  if (items.length < 2 * MIN_GROUP) return { error: `Need at least ${2 * MIN_GROUP} rows with a numeric ${metric}.` };
+
+  // A list of keywords; a comma-separated string is accepted too
+  const listed = typeof args.keywords === 'string' ? args.keywords.split(',') : args.keywords || [];
+  if (!Array.isArray(listed)) return { error: 'keywords must be a list of words or phrases, e.g. ["tutorial", "review"]' };
+  const given = listed.map((k) => String(k).trim()).filter(Boolean);
+  const keywords = given.length
+    ? given.slice(0, MAX_KEYWORDS)
+    : frequentTerms(items.map((i) => i.text), Math.min(Math.max(1, parseInt(args.top_n) || 8), MAX_KEYWORDS));
+  if (!keywords.length) return { error: 'No term appears often enough to compare; pass keywords explicitly.' };
+
+  const noMatches = [];
+  const data = keywords.flatMap((keyword) => {
+    const pattern = keywordPattern(keyword);
+    const withVals = [];
+    const withoutVals = [];
+    for (const item of items) (pattern.test(item.text) ? withVals : withoutVals).push(item.value);
+    // A keyword found nowhere has nothing to compare and stays off the chart
+    if (!withVals.length) {
+      noMatches.push(keyword);
+      return [];
+    }
+    const row = {
+      name: keyword,
+      withKeyword: withVals.length ? fmt(mean(withVals)) : null,
+      withoutKeyword: withoutVals.length ? fmt(mean(withoutVals)) : null,
+      withCount: withVals.length,
+      withoutCount: withoutVals.length,
+    };
+    if (withVals.length && withoutVals.length) {
+      row.liftPct = row.withoutKeyword ? fmt(((row.withKeyword - row.withoutKeyword) / Math.abs(row.withoutKeyword)) * 100) : null;
+      row.pValue = fmt(mannWhitney(withVals, withoutVals).pValue);
+      row.significant = row.pValue < 0.05 && withVals.length >= MIN_GROUP && withoutVals.length >= MIN_GROUP;
+    }
+    return [row];
+  });
+  if (!data.length) return { error: `None of the keywords appear in the data: ${noMatches.join(', ')}` };
+
+  return {
+    _chartType: 'engagement',
+    dataset: args.dataset,
+    metricColumn: metric,
+    autoPicked: !given.length,
+    noMatches,
+    data: data.sort((a, b) => (b.liftPct ?? -Infinity) - (a.liftPct ?? -Infinity)),
+  };
+}
+
+// ── posting_schedule ─────────────────────────────────────────────────────────
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const HOUR_BLOCK = 4; // hours per time-of-day slot in the performance breakdown
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const timestampField = (args, available) =>
+  args.dataset === 'videos'
+    ? 'releaseDate'
+    : available.find((h) => /^created.?at$/i.test(h)) || available.find((h) => /created|date|time/i.test(h));
+
+// Export timestamps without an offset ("2026-02-18 14:34:17") are read as UTC
+const parseTimestamp = (value) => {
+  const str = String(value || '').trim();
+  if (!str) return null;
+  const iso = str.replace(/^(\d{4}-\d{2}-\d{2}) /, '$1T');
+  const d = new Date(/T[\d:.]+$/.test(iso) ? `${iso}Z` : iso);
+  return isNaN(d) ? null : d;
+};
+
+// Local calendar parts of a Date in a time zone: { day (days since epoch), weekday (0 = Mon), hour, date }
+function localParts(formatter, d) {
+  const parts = Object.fromEntries(formatter.formatToParts(d).map((p) => [p.type, p.value]));
+  const day = Date.UTC(+parts.year, +parts.month - 1, +parts.day) / DAY_MS;
+  return {
+    day,
+    weekday: (new Date(day * DAY_MS).getUTCDay() + 6) % 7,
+    hour: +parts.hour % 24,
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+const dayDate = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+
+// Longest run of consecutive units (days or weeks) that each have a post
+function longestRun(units) {
+  const sorted = [...new Set(units)].sort((a, b) => a - b);
+  let best = { length: 0, from: null, to: null };
+  let start = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    if (i > 0 && sorted[i] !== sorted[i - 1] + 1) start = i;
+    if (i - start + 1 > best.length) best = { length: i - start + 1, from: sorted[start], to: sorted[i] };
+  }
+  return best;
+}
+
+const medianOf = (vals) => {
+  if (!vals.length) return null;
+  const sorted = [...vals].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+function postingSchedule(args, datasets) {
+  const { rows, error } = pickDataset(args, datasets);
+  if (error) return { error };
+  const available = rows.length ? Object.keys(rows[0]) : [];
+  const timeField = timestampField(args, available);
+  if (!timeField || !available.includes(timeField))
+    return { error: `No timestamp column found. Available: ${available.join(', ')}` };
+  const metric = resolveField(rows, args.metric || defaultMetric(args, available));
+  if (metric && !available.includes(metric)) return { error: `Unknown field "${args.metric}". Available: ${available.join(', ')}` };
+
+  const timeZone = args.time_zone || 'UTC';
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+    });
+  } catch {
+    return { error: `Unknown time zone "${timeZone}". Use an IANA name such as "America/New_York".` };
+  }
+
+  const posts = rows
+    .map((row) => ({ at: parseTimestamp(row[timeField]), value: metric ? parseFloat(row[metric]) : NaN }))
+    .filter((p) => p.at)
+    .sort((a, b) => a.at - b.at)
+    .map((p) => ({ ...p, ...localParts(formatter, p.at) }));
+  if (posts.length < 2) return { error: `Need at least 2 rows with a parseable ${timeField}; found ${posts.length}.` };
+
+  // Frequency and gaps
+  const first = posts[0];
+  const last = posts[posts.length - 1];
+  const spanDays = Math.max(1, (last.at - first.at) / DAY_MS);
+  const gaps = posts.slice(1).map((p, i) => ({ days: (p.at - posts[i].at) / DAY_MS, from: posts[i].date, to: p.date }));
+  const gapDays = gaps.map((g) => g.days);
+  const longestGaps = [...gaps]
+    .sort((a, b) => b.days - a.days)
+    .slice(0, 3)
+    .map((g) => ({ ...g, days: fmt(g.days) }));
+
+  // Streaks of consecutive local days / Monday-based weeks with a post
+  const dailyRun = longestRun(posts.map((p) => p.day));
+  const weeklyRun = longestRun(posts.map((p) => Math.floor((p.day + 3) / 7)));
+
+  // Performance by slot, relative to the overall median
+  const values = posts.map((p) => p.value).filter((v) => !isNaN(v));
+  const overall = medianOf(values);
+  const slot = (label, group) => {
+    const vals = group.map((p) => p.value).filter((v) => !isNaN(v));
+    const med = medianOf(vals);
+    return {
+      label,
+      count: group.length,
+      median: med == null ? null : fmt(med),
+      vsOverallPct: med != null && overall ? fmt(((med - overall) / Math.abs(overall)) * 100) : null,
+    };
+  };
+  const byWeekday = WEEKDAYS.map((label, i) => slot(label, posts.filter((p) => p.weekday === i)));
+  const byTimeOfDay = Array.from({ length: 24 / HOUR_BLOCK }, (_, i) => {
+    const from = i * HOUR_BLOCK;
+    const label = `${String(from).padStart(2, '0')}:00–${String(from + HOUR_BLOCK).padStart(2, '0')}:00`;
+    return slot(label, posts.filter((p) => p.hour >= from && p.hour < from + HOUR_BLOCK));
+  });
+
+  const cells = [];
+  for (let weekday = 0; weekday < 7; weekday++) {
+    for (let hour = 0; hour < 24; hour++) {
+      const group = posts.filter((p) => p.weekday === weekday && p.hour === hour);
+      const med = medianOf(group.map((p) => p.value).filter((v) => !isNaN(v)));
+      cells.push({ weekday, hour, count: group.length, median: med == null ? null : fmt(med) });
+    }
+  }
+
+  return {
+    _chartType: 'heatmap',
+    dataset: args.dataset,
+    chartTitle: `Posting schedule (${timeZone})`,
+    timeZone,
+    timeField,
+    metric: values.length ? metric : null,
+    posts: posts.length,
+    firstPost: first.date,
+    lastPost: last.date,
+    perWeek: fmt((posts.length / spanDays) * 7),
+    perMonth: fmt((posts.length / spanDays) * 30.44),
+    medianGapDays: fmt(medianOf(gapDays)),
+    meanGapDays: fmt(gapDays.reduce((a, b) => a + b, 0) / gapDays.length),
+    longestGaps,
+    longestDailyStreak: { days: dailyRun.length, from: dayDate(dailyRun.from), to: dayDate(dailyRun.to) },
+    longestWeeklyStreak: {
+      weeks: weeklyRun.length,
+      from: dayDate(weeklyRun.from * 7 - 3),
+      to: dayDate(weeklyRun.to * 7 + 3),
+    },
+    overallMedian: overall == null ? null : fmt(overall),
+    byWeekday,
+    byTimeOfDay,
+    cells,
+  };
+}
+
+// ── Executor ─────────────────────────────────────────────────────────────────
+
+export const executeAnalysisTool = (toolName, args, datasets = {}) => {
+  switch (toolName) {
+    case 'correlate_fields':
+      return correlateFields(args, datasets);
+    case 'keyword_impact':
+      return keywordImpact(args, datasets);
+    case 'posting_schedule':
+      return postingSchedule(args, datasets);
+    default:
+      return { error: `Unknown tool: ${toolName}` };
+  }
+};
+
+// The chart is shown to the user; the model gets the numbers to talk about.
+export const summarizeAnalysisResult = (result) => {
+  if (result?._chartType === 'scatter') {
+    return {
+      status: 'success',
+      message:
+        `Scatter chart "${result.chartTitle}" with its trend line is now displayed to the user. ` +
+        `Pearson r shows ${strength(result.stats.pearson)}.`,
+      ...result.stats,
+    };
+  }
+  if (result?._chartType === 'engagement') {
+    return {
+      status: 'success',
+      message:
+        `A chart of mean ${result.metricColumn} with vs without each keyword is now displayed to the user. ` +
+        'pValue is a two-sided Mann–Whitney test; "significant" means p < 0.05 with at least 3 items on each side.' +
+        (result.autoPicked ? ' The keywords are the most frequent terms in the data.' : '') +
+        (result.noMatches?.length ? ` No matches for: ${result.noMatches.join(', ')} (left off the chart).` : ''),
+      metric: result.metricColumn,
+      keywords: result.data,
+    };
+  }
+  if (result?._chartType === 'heatmap') {
+    const { cells, _chartType, chartTitle, ...stats } = result;
+    const busiest = cells
+      .filter((c) => c.count)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 5)
+      .map((c) => ({ slot: `${WEEKDAYS[c.weekday]} ${String(c.hour).padStart(2, '0')}:00`, posts: c.count, median: c.median }));
+    return {
+      status: 'success',
+      message:
+        `A day-of-week × hour heatmap "${chartTitle}" is now displayed to the user. Days and hours are in ${result.timeZone}. ` +
+        'Gaps are in days; streaks count consecutive days or Monday-based weeks with at least one post. ' +
+        (result.metric ? `Slot medians are of ${result.metric}; vsOverallPct compares each slot with the overall median.` : ''),
+      ...stats,
+      busiestSlots: busiest,
+    };
+  }
+  return result;
+};
@@ -0,0 +1,104 @@
+import { executeAnalysisTool } from './analysisTools';
+
+const video = (i, fields) => ({
+  videoId: `v${i}`,
+  title: `Video ${i}`,
+  releaseDate: `2024-01-${String(i + 1).padStart(2, '0')}T12:00:00Z`,
+  ...fields,
+});
+
+const correlate = (pairs, args = {}) =>
+  executeAnalysisTool(
+    'correlate_fields',
+    { dataset: 'videos', x: 'x', y: 'y', ...args },
+    { jsonRows: pairs.map(([x, y], i) => video(i, { x, y })) }
+  );
+
+describe('correlate_fields', () => {
+  test('fits an exact line', () => {
+    const { stats } = correlate([1, 2, 3, 4, 5].map((x) => [x, 2 * x + 1]));
+    expect(stats).toMatchObject({ n: 5, pearson: 1, spearman: 1, slope: 2, intercept: 1, r2: 1 });
+  });
+
+  test('matches hand-computed Pearson, Spearman and least squares', () => {
+    // x̄ = 3, ȳ = 4; Sxy = 6, Sxx = 10, Syy = 6
+    const { stats } = correlate([[1, 2], [2, 4], [3, 5], [4, 4], [5, 5]]);
+    expect(stats.pearson).toBeCloseTo(6 / Math.sqrt(60), 4);
+    expect(stats.slope).toBeCloseTo(0.6, 4);
+    expect(stats.intercept).toBeCloseTo(2.2, 4);
+    expect(stats.r2).toBeCloseTo(36 / 60, 4);
+    // Tied y values share their average rank: 1, 2.5, 4.5, 2.5, 4.5 → Sxy = 7, Sxx = 10, Syy = 9
+    expect(stats.spearman).toBeCloseTo(7 / Math.sqrt(90), 4);
+  });
+
+  test('Spearman sees a monotonic curve that Pearson underrates', () => {
+    const { stats } = correlate([1, 2, 3, 4, 5, 6].map((x) => [x, 10 ** x]));
+    expect(stats.spearman).toBe(1);
+    expect(stats.pearson).toBeLessThan(0.8);
+  });
+
+  test('log axes drop non-positive values and fit on log10', () => {
+    const { stats } = correlate([[0, 1], [10, 100], [100, 10000], [1000, 1e6]], { log_x: true, log_y: true });
+    expect(stats).toMatchObject({ n: 3, slope: 2, intercept: 0, droppedNonPositive: 1 });
+  });
+});
+
+describe('keyword_impact', () => {
+  const rows = [1, 2, 3, 4, 5, 6].map((views, i) => video(i, { title: i < 3 ? `tutorial ${i}` : `vlog ${i}`, viewCount: views }));
+  const impact = (args) => executeAnalysisTool('keyword_impact', { dataset: 'videos', ...args }, { jsonRows: rows });
+
+  test('runs a Mann–Whitney test between items with and without the keyword', () => {
+    const [row] = impact({ keywords: ['tutorial'] }).data;
+    // U = 0 with n1 = n2 = 3: z = −4.5 / √5.25
+    expect(row).toMatchObject({ name: 'tutorial', withKeyword: 2, withoutKeyword: 5, withCount: 3, withoutCount: 3, liftPct: -60 });
+    expect(row.pValue).toBeCloseTo(0.0495, 3);
+    expect(row.significant).toBe(true);
+  });
+
+  test('gives p = 1 when every value is tied', () => {
+    const tied = rows.map((r) => ({ ...r, viewCount: 7 }));
+    const [row] = executeAnalysisTool('keyword_impact', { dataset: 'videos', keywords: ['vlog'] }, { jsonRows: tied }).data;
+    expect(row.pValue).toBe(1);
+  });
+
+  test('accepts a comma-separated string and reports keywords with no matches', () => {
+    const result = impact({ keywords: 'tutorial, zebra' });
+    expect(result.data.map((d) => d.name)).toEqual(['tutorial']);
+    expect(result.noMatches).toEqual(['zebra']);
+    expect(impact({ keywords: 'zebra' }).error).toMatch(/None of the keywords/);
+    expect(impact({ keywords: 42 }).error).toMatch(/must be a list/);
+  });
+});
+
+describe('posting_schedule', () => {
+  // Monday to Friday at 14:00 UTC, then one more post ten days later (the week after next)
+  const days = ['2024-01-08', '2024-01-09', '2024-01-10', '2024-01-11', '2024-01-12', '2024-01-22'];
+  const rows = days.map((day, i) => ({ videoId: `v${i}`, title: `Video ${i}`, releaseDate: `${day}T14:00:00Z`, viewCount: (i + 1) * 100 }));
+  const schedule = (args = {}) => executeAnalysisTool('posting_schedule', { dataset: 'videos', ...args }, { jsonRows: rows });
+
+  test('measures gaps, streaks and frequency', () => {
+    const result = schedule();
+    expect(result).toMatchObject({
+      posts: 6,
+      firstPost: '2024-01-08',
+      lastPost: '2024-01-22',
+      medianGapDays: 1,
+      meanGapDays: 2.8,
+      longestDailyStreak: { days: 5, from: '2024-01-08', to: '2024-01-12' },
+      longestWeeklyStreak: { weeks: 1, from: '2024-01-08', to: '2024-01-14' },
+      overallMedian: 350,
+    });
+    expect(result.longestGaps[0]).toEqual({ days: 10, from: '2024-01-12', to: '2024-01-22' });
+    expect(result.perWeek).toBeCloseTo(3, 4);
+  });
+
+  test('buckets days and hours in the requested time zone', () => {
+    const utc = schedule();
+    expect(utc.cells.filter((c) => c.count).map((c) => c.hour)).toEqual([14, 14, 14, 14, 14]);
+    expect(utc.byWeekday[0]).toMatchObject({ label: 'Mon', count: 2, median: 350 });
+
+    const newYork = schedule({ time_zone: 'America/New_York' });
+    expect(newYork.cells.filter((c) => c.count).every((c) => c.hour === 9)).toBe(true);
+    expect(schedule({ time_zone: 'Mars/Olympus' }).error).toMatch(/Unknown time zone/);
+  });
+});
@@ -0,0 +1,176 @@
+// ── CSV parser (RFC 4180) ────────────────────────────────────────────────────
+// A character state machine that takes the text in chunks, so a large upload
+// is parsed as it is read instead of being split into lines first. Handles
+// quoted fields with delimiters, line breaks and "" escapes inside them, CRLF /
+// LF / CR line endings, a leading byte-order mark and blank lines. The delimiter
+// (comma, semicolon, tab or pipe) is detected from the header line unless given.
+// Lenient where exports are sloppy: a quote in the middle of an unquoted field
+// is kept as text, and an unterminated quoted field runs to the end of the input.
+// Shared with the server, so no browser-only APIs here.
+
+export const DELIMITERS = [',', ';', '\t', '|'];
+
+// Most frequent candidate outside quotes in the header line; comma when none occurs
+function sniffDelimiter(headerLine) {
+  const counts = new Map(DELIMITERS.map((d) => [d, 0]));
+  let inQuotes = false;
+  for (const ch of headerLine) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && counts.has(ch)) counts.set(ch, counts.get(ch) + 1);
+  }
+  const [best, count] = [...counts.entries()].reduce((a, b) => (b[1] > a[1] ? b : a));
+  return count ? best : ',';
+}
+
+// Index of the first line break outside quotes, or -1
+function headerEnd(text) {
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === '\n' || ch === '\r')) return i;
+  }
+  return -1;
+}
+
+// Returns { write(chunk) → records, end() → records, delimiter }: each call hands
+// back the records (arrays of field strings) completed by that chunk.
+export function createCsvParser({ delimiter = null } = {}) {
+  let sep = delimiter;
+  let pending = ''; // text held back until the header line is complete and the delimiter known
+  let started = false;
+
+  let record = [];
+  let field = '';
+  let quoted = false; // the current field opened with a quote
+  let inQuotes = false;
+  let quoteSeen = false; // a quote inside a quoted field: closes it, or escapes the next one
+  let afterCR = false;
+  let records = [];
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+    quoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    // A blank line is no record
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+  };
+
+  const consume = (text) => {
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (inQuotes) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (ch === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false; // the quote closed the field; ch is read as unquoted below
+        } else if (ch === '"') {
+          quoteSeen = true;
+          continue;
+        } else {
+          field += ch;
+          continue;
+        }
+      }
+
+      if (afterCR) {
+        afterCR = false;
+        if (ch === '\n') continue;
+      }
+      if (ch === sep) endField();
+      else if (ch === '\n' || ch === '\r') {
+        endRecord();
+        afterCR = ch === '\r';
+      } else if (ch === '"' && !field && !quoted) {
+        quoted = true;
+        inQuotes = true;
+      } else field += ch;
+    }
+  };
+
+  const take = () => {
+    const done = records;
+    records = [];
+    return done;
+  };
+
+  const feed = (chunk, final) => {
+    let text = chunk;
+    if (!started) {
+      text = pending + text;
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+      const end = headerEnd(text);
+      if (!sep && end < 0 && !final) {
+        pending = text;
+        return;
+      }
+      if (!sep) sep = sniffDelimiter(end < 0 ? text : text.slice(0, end));
+      started = true;
+      pending = '';
+    }
+    consume(text);
+  };
+
+  return {
+    write(chunk) {
+      feed(String(chunk), false);
+      return take();
+    },
+    end() {
+      feed('', true);
+      if (quoteSeen) inQuotes = false;
+      if (field || quoted || record.length) endRecord();
+      return take();
+    },
+    get delimiter() {
+      return sep;
+    },
+  };
+}
+
+// Records → { headers, rows }: the first record names the columns (trimmed;
+// blank names become "column N", repeated ones get a suffix), short rows are
+// padded with '' and extra fields are dropped.
+function toRows(records) {
+  if (!records.length) return { headers: [], rows: [] };
+  const seen = new Map();
+  const headers = records[0].map((h, i) => {
+    const name = h.trim() || `column ${i + 1}`;
+    const n = (seen.get(name) || 0) + 1;
+    seen.set(name, n);
+    return n > 1 ? `${name} (${n})` : name;
+  });
+  const rows = records.slice(1).map((values) => {
+    const row = {};
+    headers.forEach((h, i) => {
+      row[h] = values[i] ?? '';
+    });
+    return row;
+  });
+  return { headers, rows };
+}
+
+// Whole text at once → { headers, rows, delimiter }
+export function parseCsv(text, options) {
+  const parser = createCsvParser(options);
+  const records = [...parser.write(text), ...parser.end()];
+  return { ...toRows(records), delimiter: parser.delimiter };
+}
+
+// Async iterable of text chunks (e.g. a file read piece by piece) → { headers, rows, delimiter }
+export async function parseCsvChunks(chunks, options) {
+  const parser = createCsvParser(options);
+  const records = [];
+  for await (const chunk of chunks) {
+    for (const record of parser.write(chunk)) records.push(record);
+  }
+  for (const record of parser.end()) records.push(record);
+  return { ...toRows(records), delimiter: parser.delimiter };
+}
@@ -0,0 +1,54 @@
+import { createCsvParser, parseCsv, parseCsvChunks } from './csvParser';
+
+test('parses quoted fields with delimiters, line breaks and escaped quotes', () => {
+  const text = 'name,quote,n\r\n"Smith, Ann","She said ""hi""\nand left",3\r\nBob,plain,4\r\n';
+  expect(parseCsv(text)).toEqual({
+    headers: ['name', 'quote', 'n'],
+    rows: [
+      { name: 'Smith, Ann', quote: 'She said "hi"\nand left', n: '3' },
+      { name: 'Bob', quote: 'plain', n: '4' },
+    ],
+    delimiter: ',',
+  });
+});
+
+test('handles a byte-order mark, CR line endings and blank lines', () => {
+  const { headers, rows } = parseCsv('\uFEFFa,b\r1,2\r\r3,4');
+  expect(headers).toEqual(['a', 'b']);
+  expect(rows).toEqual([{ a: '1', b: '2' }, { a: '3', b: '4' }]);
+});
+
+test('detects the delimiter from the header line', () => {
+  expect(parseCsv('a;b;c\n1;2;3').delimiter).toBe(';');
+  expect(parseCsv('a\tb\n1\t2').rows).toEqual([{ a: '1', b: '2' }]);
+  expect(parseCsv('"x,y"|z\n1|2').headers).toEqual(['x,y', 'z']);
+  expect(parseCsv('only\n1').delimiter).toBe(',');
+});
+
+test('names blank and repeated headers and pads short rows', () => {
+  const { headers, rows } = parseCsv(' id ,,id\n1\n');
+  expect(headers).toEqual(['id', 'column 2', 'id (2)']);
+  expect(rows).toEqual([{ id: '1', 'column 2': '', 'id (2)': '' }]);
+});
+
+test('keeps a stray quote inside an unquoted field and runs an unterminated quote to the end', () => {
+  expect(parseCsv('a,b\n5"6,x').rows).toEqual([{ a: '5"6', b: 'x' }]);
+  expect(parseCsv('a,b\n1,"open\nstill open').rows).toEqual([{ a: '1', b: 'open\nstill open' }]);
+});
+
+test('gives the same records whatever the chunk boundaries', async () => {
+  const text = 'title;"views";note\r\n"A; B";10;"say ""x"""\r\nC;20;"multi\r\nline"\r\n';
+  const whole = parseCsv(text);
+  for (const size of [1, 2, 3, 7]) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+    await expect(parseCsvChunks(chunks)).resolves.toEqual(whole);
+  }
+});
+
+test('write() hands back only the records each chunk completes', () => {
+  const parser = createCsvParser({ delimiter: ',' });
+  expect(parser.write('a,b\n1,')).toEqual([['a', 'b']]);
+  expect(parser.write('2\n3')).toEqual([['1', '2']]);
+  expect(parser.end()).toEqual([['3']]);
+});
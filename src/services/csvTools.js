@@ -1,3 +1,5 @@
+import { parseCsv } from './csvParser.js';
+
 // ── Tool declarations (sent to Gemini so it knows what functions exist) ───────
 
 // IMPORTANT NOTE embedded in every description:
@@ -65,41 +67,11 @@ export const CSV_TOOL_DECLARATIONS = [
   },
 ];
 
-// ── Parse a CSV line, respecting quoted fields ────────────────────────────────
-
-const parseLine = (line) => {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      inQuotes = !inQuotes;
-    } else if (ch === ',' && !inQuotes) {
-      result.push(current.trim());
-      current = '';
-    } else {
-      current += ch;
-    }
-  }
-  result.push(current.trim());
-  return result;
-};
-
 // ── Parse a full CSV text into an array of row objects ────────────────────────
+// See csvParser.js; files read in chunks go through parseCsvChunks there.
 
 export const parseCsvToRows = (text) => {
-  const lines = text.split('\n').filter((l) => l.trim());
-  if (lines.length < 2) return { headers: [], rows: [] };
-  const headers = parseLine(lines[0]).map((h) => h.replace(/^"|"$/g, ''));
-  const rows = lines.slice(1).map((line) => {
-    const vals = parseLine(line);
-    const obj = {};
-    headers.forEach((h, i) => {
-      obj[h] = (vals[i] || '').replace(/^"|"$/g, '');
-    });
-    return obj;
-  });
+  const { headers, rows } = parseCsv(text);
   return { headers, rows };
 };
 
@@ -148,6 +120,20 @@ const SLIM_PATTERNS = [
   /^engagement$/i,            // computed column added by enrichWithEngagement
 ];
 
+const escapeCell = (v) => {
+  const s = String(v ?? '');
+  return /[,"\r\n]/.test(s)
+    ? `"${s.replace(/"/g, '""')}"`
+    : s;
+};
+
+// Serializes parsed rows back to CSV text (only the given headers, in order)
+export const rowsToCsv = (rows, headers) =>
+  [
+    headers.map(escapeCell).join(','),
+    ...rows.map((r) => headers.map((h) => escapeCell(r[h])).join(',')),
+  ].join('\n');
+
 export const buildSlimCsv = (rows, headers) => {
   if (!rows.length || !headers.length) return '';
 
@@ -155,18 +141,7 @@ export const buildSlimCsv = (rows, headers) => {
   const slimHeaders = headers.filter((h) => SLIM_PATTERNS.some((re) => re.test(h)));
   if (!slimHeaders.length) return '';
 
-  const escapeCell = (v) => {
-    const s = String(v ?? '');
-    return s.includes(',') || s.includes('"') || s.includes('\n')
-      ? `"${s.replace(/"/g, '""')}"`
-      : s;
-  };
-
-  const lines = [
-    slimHeaders.join(','),
-    ...rows.map((r) => slimHeaders.map((h) => escapeCell(r[h])).join(',')),
-  ];
-  return lines.join('\n');
+  return rowsToCsv(rows, slimHeaders);
 };
 
 // ── Enrich rows with computed engagement column ───────────────────────────────
@@ -1,15 +1,12 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { CSV_TOOL_DECLARATIONS } from './csvTools';
-import { JSON_TOOL_DECLARATIONS } from './jsonTools';
+import { authFetch, readEventStream } from './mongoApi';
+import { classifyLocally } from './intentRouter';
 
-const genAI = new GoogleGenerativeAI(process.env.REACT_APP_GEMINI_API_KEY || '');
-
-const MODEL = 'gemini-2.5-pro';
-
-const SEARCH_TOOL = { googleSearch: {} };
-const CODE_EXEC_TOOL = { codeExecution: {} };
-
-export const CODE_KEYWORDS = /\b(plot|chart|graph|analyz|statistic|regression|correlat|histogram|visualiz|calculat|compute|run code|write code|execute|pandas|numpy|matplotlib|csv|data)\b/i;
+// All Gemini calls go through the backend (/api/ai/*), which holds the API key.
+// A chat turn is identified by `turn` = { sessionId, messageId, blocks }: the
+// session, the user message just saved, and the dataset blocks ([{ key, text }])
+// that describe the loaded data. The backend's context manager builds the
+// history from the session (recent turns plus a rolling summary) and only sends
+// a dataset block again when the model no longer has it in view.
 
 let cachedPrompt = null;
 
@@ -24,215 +21,176 @@ async function loadSystemPrompt() {
   return cachedPrompt;
 }
 
-function buildChatHistory(systemInstruction, history, userContext) {
-  const baseHistory = history.map((m) => ({
-    role: m.role === 'user' ? 'user' : 'model',
-    parts: [{ text: m.content || '' }],
-  }));
-
-  const instructions = [systemInstruction, userContext].filter(Boolean).join('\n\n');
-
-  if (instructions) {
-    return [
-      { role: 'user', parts: [{ text: `Follow these instructions in every response:\n\n${instructions}` }] },
-      { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
-      ...baseHistory,
-    ];
-  }
-  return baseHistory;
-}
-
-// ── Streaming chat (search or code execution) ────────────────────────────────
-
-export const streamChat = async function* (history, newMessage, imageParts = [], useCodeExecution = false, userContext = '') {
-  const systemInstruction = await loadSystemPrompt();
-  const tools = useCodeExecution ? [CODE_EXEC_TOOL] : [SEARCH_TOOL];
-  const model = genAI.getGenerativeModel({ model: MODEL, tools });
-
-  const chatHistory = buildChatHistory(systemInstruction, history, userContext);
-  const chat = model.startChat({ history: chatHistory });
-
-  const parts = [
-    { text: newMessage },
-    ...imageParts.map((img) => ({
-      inlineData: { mimeType: img.mimeType || 'image/png', data: img.data },
-    })),
-  ].filter((p) => p.text !== undefined || p.inlineData !== undefined);
-
-  const result = await chat.sendMessageStream(parts);
-
-  for await (const chunk of result.stream) {
-    const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
-    for (const part of chunkParts) {
-      if (part.text) yield { type: 'text', text: part.text };
-    }
-  }
-
-  const response = await result.response;
-  const allParts = response.candidates?.[0]?.content?.parts || [];
-
-  const hasCodeExecution = allParts.some(
-    (p) =>
-      p.executableCode ||
-      p.codeExecutionResult ||
-      (p.inlineData && p.inlineData.mimeType?.startsWith('image/'))
-  );
-
-  if (hasCodeExecution) {
-    const structuredParts = allParts
-      .map((p) => {
-        if (p.text) return { type: 'text', text: p.text };
-        if (p.executableCode)
-          return { type: 'code', language: p.executableCode.language || 'PYTHON', code: p.executableCode.code };
-        if (p.codeExecutionResult)
-          return { type: 'result', outcome: p.codeExecutionResult.outcome, output: p.codeExecutionResult.output };
-        if (p.inlineData)
-          return { type: 'image', mimeType: p.inlineData.mimeType, data: p.inlineData.data };
-        return null;
-      })
-      .filter(Boolean);
-    yield { type: 'fullResponse', parts: structuredParts };
+const errorMessage = async (res) => {
+  const text = await res.text();
+  try {
+    return JSON.parse(text).error || text;
+  } catch {
+    return text || res.statusText;
   }
-
-  const grounding = response.candidates?.[0]?.groundingMetadata;
-  if (grounding) yield { type: 'grounding', data: grounding };
 };
 
-// ── Function-calling chat for CSV tools ──────────────────────────────────────
-
-export const chatWithCsvTools = async (history, newMessage, csvHeaders, executeFn) => {
-  const systemInstruction = await loadSystemPrompt();
-  const model = genAI.getGenerativeModel({
-    model: MODEL,
-    tools: [{ functionDeclarations: CSV_TOOL_DECLARATIONS }],
+// `signal` (an AbortSignal) cancels the request; the backend then cancels Gemini.
+const postJson = (path, body, signal) =>
+  authFetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal,
   });
 
-  const chatHistory = buildChatHistory(systemInstruction, history, '');
-  const chat = model.startChat({ history: chatHistory });
-
-  const msgWithContext = csvHeaders?.length
-    ? `[CSV columns: ${csvHeaders.join(', ')}]\n\n${newMessage}`
-    : newMessage;
-
-  let response = (await chat.sendMessage(msgWithContext)).response;
-
-  const charts = [];
-  const toolCalls = [];
-
-  for (let round = 0; round < 5; round++) {
-    const parts = response.candidates?.[0]?.content?.parts || [];
-    const funcCall = parts.find((p) => p.functionCall);
-    if (!funcCall) break;
+// POSTs to an AI route and yields its server-sent events; "error" events throw.
+const aiEvents = async function* (path, body, signal) {
+  const res = await postJson(path, body, signal);
+  if (!res.ok) throw new Error(await errorMessage(res));
+  for await (const event of readEventStream(res)) {
+    if (event.type === 'error') throw new Error(event.message);
+    yield event;
+  }
+};
 
-    const { name, args } = funcCall.functionCall;
-    const toolResult = executeFn(name, args);
-    toolCalls.push({ name, args, result: toolResult });
-    if (toolResult?._chartType) charts.push(toolResult);
+// ── Routing ──────────────────────────────────────────────────────────────────
+// Resolves to { mode, reason, source } (see intentRouter.js). If the backend
+// can't be reached the keyword rules decide here instead.
 
-    response = (
-      await chat.sendMessage([{ functionResponse: { name, response: { result: toolResult } } }])
-    ).response;
+export const routeMessage = async (sessionId, message, context, signal = null) => {
+  try {
+    const res = await postJson('/api/ai/route', { sessionId, message, context }, signal);
+    if (!res.ok) throw new Error(await errorMessage(res));
+    return await res.json();
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    return { ...classifyLocally(message, context), source: 'rules' };
   }
-
-  return { text: response.text(), charts, toolCalls };
 };
 
-// ── Function-calling chat for JSON (YouTube data) tools ──────────────────────
+// ── Streaming chat (search or code execution) ────────────────────────────────
 
-export const chatWithJsonTools = async (history, newMessage, jsonFields, executeFn, userContext = '') => {
+export const streamChat = async function* (turn, newMessage, imageParts = [], useCodeExecution = false, userContext = '', signal = null) {
   const systemInstruction = await loadSystemPrompt();
-  const model = genAI.getGenerativeModel({
-    model: MODEL,
-    tools: [{ functionDeclarations: JSON_TOOL_DECLARATIONS }],
-  });
-
-  const chatHistory = buildChatHistory(systemInstruction, history, userContext);
-  const chat = model.startChat({ history: chatHistory });
-
-  const msgWithContext = jsonFields?.length
-    ? `[JSON fields: ${jsonFields.join(', ')}]\n\n${newMessage}`
-    : newMessage;
-
-  let response = (await chat.sendMessage(msgWithContext)).response;
-
-  const charts = [];
-  const videoCards = [];
-  const toolCalls = [];
-  let imageGenRequest = null;
-
-  for (let round = 0; round < 5; round++) {
-    const parts = response.candidates?.[0]?.content?.parts || [];
-    const funcCall = parts.find((p) => p.functionCall);
-    if (!funcCall) break;
-
-    const { name, args } = funcCall.functionCall;
-    let toolResult = executeFn(name, args);
-    toolCalls.push({ name, args, result: toolResult });
-
-    if (toolResult?._chartType) charts.push(toolResult);
-    if (toolResult?._cardType === 'video') videoCards.push(toolResult);
-    if (toolResult?._actionType === 'generateImage') imageGenRequest = toolResult;
-
-    // Send a clean summary to Gemini so it writes natural text, not raw JSON
-    let geminiResult = toolResult;
-    if (toolResult?._cardType === 'video') {
-      geminiResult = { status: 'success', message: `Now showing video card for "${toolResult.title}" (${Number(toolResult.viewCount).toLocaleString()} views). The card is displayed to the user with a clickable thumbnail that opens on YouTube.` };
-    } else if (toolResult?._chartType) {
-      geminiResult = { status: 'success', message: `Chart "${toolResult.chartTitle}" is now displayed to the user with ${toolResult.data?.length} data points. The user can enlarge and download it.` };
-    } else if (toolResult?._actionType === 'generateImage') {
-      geminiResult = { status: 'success', message: 'Image is being generated and will be displayed to the user.' };
-    }
-
-    response = (
-      await chat.sendMessage([{ functionResponse: { name, response: { result: geminiResult } } }])
-    ).response;
+  const body = { ...turn, message: newMessage, images: imageParts, useCodeExecution, systemInstruction, userContext };
+  for await (const event of aiEvents('/api/ai/chat', body, signal)) {
+    if (event.type !== 'done') yield event;
   }
-
-  return { text: response.text(), charts, videoCards, toolCalls, imageGenRequest };
 };
 
-// ── Image generation using Gemini (direct REST call for reliability) ──────────
+// ── Function-calling chat with the unified tool registry ─────────────────────
+// The loop itself runs on the server, with every tool of the registry that fits
+// the loaded data, so one turn can mix CSV tools, YouTube JSON tools, image
+// generation, web search and Python. Tools the server can run come back as
+// "toolStart" / "toolResult" events; the rest arrive as "toolCall" events, run
+// here via executeFn(name, args) → { result, modelResult }, and the model-facing
+// result is posted back. A turn may hold several calls; the server waits for
+// all of them before answering the model.
+//
+// Yields, as they happen:
+//   { type: 'text', text }                      answer delta
+//   { type: 'toolStart', callId, name, args }
+//   { type: 'toolEnd', callId, name, args, result }
+//   { type: 'chart', chart } · { type: 'videoCard', card } · { type: 'table', table }
+//   { type: 'codeParts', parts } · { type: 'grounding', data }
+//   { type: 'imageRequest', prompt }
+//   { type: 'done', toolRoundLimit }            limit number when it cut the answer short
+
+// Web-search answers, Python runs, summaries, comparisons, outlier cards and
+// topic charts are rendered from their own events (sources, code parts, video
+// cards, charts); the tool log keeps just a marker so they aren't stored twice.
+const logResult = (result) => {
+  if (result?._partsType) return { _partsType: result._partsType, task: result.task };
+  if (result?._groundingType) return { _groundingType: result._groundingType, query: result.query };
+  if (result?._cardType === 'summary') return { _cardType: result._cardType, title: result.title, cached: result.cached };
+  if (result?._cardType === 'comparison') return { _cardType: result._cardType, titles: result.videos.map((v) => v.title) };
+  if (result?._cardType === 'transcript_hits')
+    return { _cardType: result._cardType, query: result.query, hits: result.hits.length };
+  if (result?._cardType === 'outliers')
+    return { _cardType: result._cardType, breakouts: result.breakouts.length, flops: result.flops.length };
+  if (result?._tableType) return { _tableType: result._tableType, matched: result.matched };
+  if (result?._chartType === 'topics') return { _chartType: result._chartType, themes: result.clusters.map((c) => c.label) };
+  return result;
+};
 
-export const generateImageWithGemini = async (prompt, anchorImageParts = []) => {
-  const apiKey = process.env.REACT_APP_GEMINI_API_KEY;
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-image:generateContent?key=${apiKey}`;
+const mergeGrounding = (searches) => ({
+  groundingChunks: searches.flatMap((r) => r.grounding?.groundingChunks || []),
+  webSearchQueries: searches.map((r) => r.query),
+});
+
+export const chatWithTools = async function* (
+  turn,
+  newMessage,
+  { csvHeaders = null, jsonFields = null, datasetIds = {}, executeFn, userContext = '', signal = null }
+) {
+  const context = [
+    csvHeaders?.length ? `[CSV columns: ${csvHeaders.join(', ')}]` : null,
+    jsonFields?.length ? `[JSON fields: ${jsonFields.join(', ')}]` : null,
+  ].filter(Boolean);
+  const message = context.length ? `${context.join('\n')}\n\n${newMessage}` : newMessage;
 
-  const parts = [
-    { text: prompt },
-    ...anchorImageParts.map((img) => ({
-      inlineData: { mimeType: img.mimeType || 'image/png', data: img.data },
-    })),
-  ];
+  const systemInstruction = await loadSystemPrompt();
+  const toolsets = { csv: !!csvHeaders?.length, json: !!jsonFields?.length };
+  const body = { ...turn, message, toolsets, datasetIds, systemInstruction, userContext };
 
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      contents: [{ parts }],
-      generationConfig: { responseModalities: ['TEXT', 'IMAGE'] },
-    }),
-  });
+  let runId = null;
+  const searches = [];
 
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(`Image generation failed (${res.status}): ${err}`);
+  const toolFinished = function* ({ callId, name, args, result }) {
+    if (result?._chartType) yield { type: 'chart', chart: result };
+    if (['video', 'comparison', 'summary'].includes(result?._cardType)) yield { type: 'videoCard', card: result };
+    if (result?._cardType === 'outliers') {
+      for (const card of [...result.breakouts, ...result.flops]) yield { type: 'videoCard', card };
+    }
+    if (result?._cardType === 'transcript_hits') {
+      for (const card of result.hits) yield { type: 'videoCard', card };
+    }
+    if (result?._tableType) yield { type: 'table', table: result };
+    if (result?._actionType === 'generateImage') yield { type: 'imageRequest', prompt: result.prompt };
+    if (result?._partsType === 'code_execution') yield { type: 'codeParts', parts: result.parts || [] };
+    if (result?._groundingType === 'web_search') {
+      searches.push(result);
+      yield { type: 'grounding', data: mergeGrounding(searches) };
+    }
+    yield { type: 'toolEnd', callId, name, args, result: logResult(result) };
+  };
+
+  for await (const event of aiEvents('/api/ai/tools', body, signal)) {
+    if (event.type === 'run') {
+      runId = event.runId;
+    } else if (event.type === 'text' || event.type === 'toolStart') {
+      yield event;
+    } else if (event.type === 'toolCall') {
+      const { callId, name, args } = event;
+      yield { type: 'toolStart', callId, name, args };
+      // A throwing tool becomes an error result, as on the server, so the run isn't left waiting for this call
+      let executed;
+      try {
+        executed = executeFn(name, args);
+      } catch (err) {
+        executed = { result: { error: err.message }, modelResult: { error: err.message } };
+      }
+      const { result, modelResult } = executed;
+      const res = await postJson(`/api/ai/tools/${runId}/results`, { callId, result: modelResult }, signal);
+      if (!res.ok) throw new Error(await errorMessage(res));
+      yield* toolFinished({ callId, name, args, result });
+    } else if (event.type === 'toolResult') {
+      yield* toolFinished(event);
+    } else if (event.type === 'done') {
+      yield { type: 'done', toolRoundLimit: event.roundLimitReached ? event.maxRounds : null };
+    }
   }
+};
 
-  const data = await res.json();
-  const responseParts = data.candidates?.[0]?.content?.parts || [];
+// ── Channel summaries ────────────────────────────────────────────────────────
+// Summarizes every video of the session's stored channel JSON on the server,
+// reusing cached summaries. Yields the server's events: { type: 'progress',
+// done, total, title }, { type: 'summary', card }, { type: 'skipped', title,
+// reason } and { type: 'done', summarized, cached, skipped }.
 
-  let imageData = null;
-  let textResponse = '';
+export const summarizeChannel = (sessionId, datasetId, signal = null) =>
+  aiEvents('/api/ai/summaries', { sessionId, datasetId }, signal);
 
-  for (const part of responseParts) {
-    if (part.inlineData) {
-      imageData = {
-        data: part.inlineData.data,
-        mimeType: part.inlineData.mimeType,
-      };
-    }
-    if (part.text) textResponse += part.text;
-  }
+// ── Image generation ─────────────────────────────────────────────────────────
 
-  return { imageData, textResponse };
+export const generateImageWithGemini = async (prompt, anchorImageParts = [], signal = null, sessionId = null) => {
+  const res = await postJson('/api/ai/image', { prompt, anchorImages: anchorImageParts, sessionId }, signal);
+  if (!res.ok) throw new Error(await errorMessage(res));
+  return res.json();
 };
@@ -0,0 +1,92 @@
+// ── Intent routing ───────────────────────────────────────────────────────────
+// Every message is answered on one of these paths:
+//   chat    streamed answer with web search grounding
+//   tools   function calling over the loaded datasets (image, search and Python tools included)
+//   python  Python code execution; a freshly attached CSV is inlined for it
+//   image   image generation from the message
+// The backend asks a small model to pick one (routePrompt / parseRouteReply) and
+// falls back to classifyLocally when that fails. Routes are { mode, reason, source }
+// with source 'model', 'rules' or 'user' (picked in the composer). Shared with
+// the server, so no browser-only APIs here.
+
+export const ROUTE_MODES = {
+  chat: 'Chat & search',
+  tools: 'Data tools',
+  python: 'Python',
+  image: 'Image',
+};
+
+const PYTHON_TERMS = /\b(python|pandas|numpy|seaborn|matplotlib|scipy|sklearn|script|run (the |some )?code|write (the |some )?code)\b/i;
+const ADVANCED_STATS = /\b(regression|scatter|histogram|heatmap|box.?plot|violin|linear.?model|logistic|forecast|trend.?line|time.?series|clustering)\b/i;
+// Answered by the native data tools once a dataset is loaded (correlate_fields, posting_schedule, forecast_metric)
+const NATIVE_STATS =
+  /\b(correlat\w*|regression|scatter|trend.?line|linear.?model|heatmap|cadence|posting.?(schedule|times?)|forecast\w*)\b/i;
+const IMAGE_REQUEST = /\b(generate|create|make|draw|design|paint|render|sketch)\b.*\b(image|picture|photo|illustration|thumbnail|artwork|poster|banner|logo|drawing)\b/i;
+const DATA_TERMS = /\b(data|dataset|csv|json|chart|graph|plot|views?|likes?|comments?|engagement|stats?|statistics|metrics?|videos?|tweets?)\b/i;
+
+// ctx: { hasCsv, hasJson, freshCsv, hasImages } — what is loaded for this turn.
+// Python without a fresh CSV can't see the loaded data, so with data loaded it
+// goes through the tools (run_python gets the datasets attached there).
+const pythonOrTools = (ctx) => (ctx.freshCsv || !(ctx.hasCsv || ctx.hasJson) ? 'python' : 'tools');
+
+export function classifyLocally(text, ctx = {}) {
+  const hasData = !!(ctx.hasCsv || ctx.hasJson);
+
+  if (IMAGE_REQUEST.test(text)) {
+    if (hasData && DATA_TERMS.test(text)) {
+      return { mode: 'tools', reason: 'Asks for a picture of the loaded data, which is a chart rather than a generated image.' };
+    }
+    return { mode: 'image', reason: 'Asks to generate an image.' };
+  }
+  if (PYTHON_TERMS.test(text)) {
+    const mode = pythonOrTools(ctx);
+    return { mode, reason: mode === 'python' ? 'Asks for Python code.' : 'Asks for Python code; the data tools can run it on the loaded data.' };
+  }
+  if (NATIVE_STATS.test(text) && hasData) {
+    return { mode: 'tools', reason: 'Asks for an analysis the data tools do natively, such as correlations, trend lines, forecasts or the posting schedule.' };
+  }
+  if (ADVANCED_STATS.test(text) && !hasData) {
+    return { mode: 'python', reason: 'Asks for an analysis that needs code, and no dataset is loaded.' };
+  }
+  if (ADVANCED_STATS.test(text) && ctx.freshCsv && !ctx.hasJson) {
+    return { mode: 'python', reason: 'Asks for an advanced analysis of the CSV just attached.' };
+  }
+  if (hasData) return { mode: 'tools', reason: 'A dataset is loaded, so the data tools can answer.' };
+  return { mode: 'chat', reason: 'General question; answered with web search.' };
+}
+
+export function routePrompt(text, ctx = {}) {
+  const loaded = [
+    ctx.hasCsv && 'a tweet CSV',
+    ctx.hasJson && 'a YouTube channel JSON',
+  ].filter(Boolean);
+  return (
+    'Route a chat message in an app that analyses YouTube channel and tweet data. Pick one mode:\n' +
+    '- tools: questions about the loaded datasets — stats, top items, distributions, charts of metrics over time, ' +
+    'correlations and trend lines between two fields, breakout and flop videos, posting schedule and cadence, forecasts of a channel metric, summaries and chapters of a video, content themes of the channel (topic clusters), playing a video. These tools can also search the web, run Python on the data and generate images.\n' +
+    '- python: explicit requests for code, or advanced statistics (histograms, multiple regression, forecasts) when no dataset is loaded ' +
+    'or a CSV was attached with this message.\n' +
+    '- image: requests to create a new picture, thumbnail, poster or illustration. A "picture of the data" is a chart, not an image.\n' +
+    '- chat: everything else — general or current-events questions, answered with web search.\n\n' +
+    `Loaded data: ${loaded.length ? loaded.join(' and ') : 'none'}${ctx.freshCsv ? ' (CSV attached with this message)' : ''}.` +
+    `${ctx.hasImages ? ' The user attached images.' : ''}\n\n` +
+    'Answer with JSON only: {"mode": "...", "reason": "one short sentence"}\n\n' +
+    `Message: ${text}`
+  );
+}
+
+// The model's { mode, reason }, or null when the reply isn't a usable route.
+export function parseRouteReply(reply, ctx = {}) {
+  const match = /\{[\s\S]*\}/.exec(reply || '');
+  if (!match) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(match[0]);
+  } catch {
+    return null;
+  }
+  if (!ROUTE_MODES[parsed?.mode]) return null;
+  const reason = String(parsed.reason || '').trim().slice(0, 200) || 'No reason given.';
+  const mode = parsed.mode === 'python' ? pythonOrTools(ctx) : parsed.mode;
+  return { mode, reason };
+}
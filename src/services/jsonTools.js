@@ -1,6 +1,37 @@
+import { clusterDocuments, MAX_K } from './topicClusters.js';
+
 // ── Tool declarations for YouTube channel JSON data ──────────────────────────
 
-const FIELD_NOTE = 'Use the exact field name from the JSON data (e.g. viewCount, likeCount, commentCount, duration).';
+const FIELD_NOTE =
+  'Use the exact field name from the JSON data (e.g. viewCount, likeCount, commentCount, duration). ' +
+  'Derived fields are available too: likesPerView, commentsPerView, viewsPerDay, durationMinutes, outlierScore (views relative to the channel median).';
+
+// Subset of videos shared by query_videos, compute_stats_json and plot_metric_vs_time.
+export const FILTER_SCHEMA = {
+  type: 'OBJECT',
+  description: 'Optional: only use the videos that meet every condition given.',
+  properties: {
+    ranges: {
+      type: 'ARRAY',
+      description:
+        'Numeric ranges (inclusive), e.g. [{"field": "duration", "min": 1200}] for videos longer than 20 minutes. duration is in seconds.',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          field: { type: 'STRING', description: 'Numeric field, e.g. "viewCount", "likeCount", "duration".' },
+          min: { type: 'NUMBER' },
+          max: { type: 'NUMBER' },
+        },
+        required: ['field'],
+      },
+    },
+    released_after: { type: 'STRING', description: 'First release date to include, YYYY-MM-DD.' },
+    released_before: { type: 'STRING', description: 'Last release date to include, YYYY-MM-DD.' },
+    title_contains: { type: 'STRING', description: 'Case-insensitive text the title must contain.' },
+    description_contains: { type: 'STRING', description: 'Case-insensitive text the description must contain.' },
+    has_transcript: { type: 'BOOLEAN', description: 'true: only videos with a transcript; false: only videos without one.' },
+  },
+};
 
 export const JSON_TOOL_DECLARATIONS = [
   {
@@ -16,6 +47,7 @@ export const JSON_TOOL_DECLARATIONS = [
           type: 'STRING',
           description: 'The numeric field name from the JSON data, e.g. "viewCount", "likeCount", "commentCount", "duration".',
         },
+        filter: FILTER_SCHEMA,
       },
       required: ['field'],
     },
@@ -38,10 +70,110 @@ export const JSON_TOOL_DECLARATIONS = [
           type: 'STRING',
           description: 'Optional title for the chart.',
         },
+        filter: FILTER_SCHEMA,
+      },
+      required: ['metric'],
+    },
+  },
+  {
+    name: 'forecast_metric',
+    description:
+      'Forecast a numeric field for the next uploads from its history over release date, with prediction intervals. ' +
+      'Fits a linear trend, a log-linear (exponential growth) trend or Holt exponential smoothing — or picks whichever ' +
+      'predicted the most recent uploads best. The chart continues the history as a dashed line with a shaded interval band. ' +
+      FIELD_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        metric: { type: 'STRING', description: 'The numeric field to forecast, e.g. "viewCount".' },
+        model: { type: 'STRING', description: 'One of "auto" (default), "linear", "log_linear", "holt".' },
+        horizon: { type: 'NUMBER', description: 'Number of future uploads to forecast (default 5, max 24).' },
+        confidence: { type: 'NUMBER', description: 'Prediction interval level: 0.8, 0.9 or 0.95 (default).' },
+        title: { type: 'STRING', description: 'Optional title for the chart.' },
+        filter: FILTER_SCHEMA,
       },
       required: ['metric'],
     },
   },
+  {
+    name: 'query_videos',
+    description:
+      'List the channel videos that match a filter, sorted and limited, with chosen fields — e.g. "videos longer than 20 minutes released in 2025, sorted by views". ' +
+      'The result is shown to the user as a sortable table. ' +
+      FIELD_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        filter: FILTER_SCHEMA,
+        sort_by: { type: 'STRING', description: 'Field to sort by, e.g. "viewCount" or "releaseDate". Defaults to releaseDate.' },
+        ascending: { type: 'BOOLEAN', description: 'Sort ascending instead of descending (default false).' },
+        limit: { type: 'NUMBER', description: 'Maximum number of videos to return (default 20, max 100).' },
+        fields: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'Fields to include. Defaults to title, releaseDate, viewCount, likeCount, commentCount, duration.',
+        },
+      },
+    },
+  },
+  {
+    name: 'group_and_aggregate',
+    description:
+      'Group the channel videos and aggregate a numeric field per group — e.g. "average views by month", "by weekday", ' +
+      '"shorts vs long-form", "videos with \'review\' in the title vs others". The result is shown to the user as a bar chart. ' +
+      FIELD_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        group_by: {
+          type: 'STRING',
+          description:
+            'One of: "year", "quarter", "month" (calendar month, e.g. Mar 2025), "month_of_year" (Jan–Dec across years), ' +
+            '"weekday", "duration_bucket", "title_keyword".',
+        },
+        metric: { type: 'STRING', description: 'Numeric field to aggregate, e.g. "viewCount". Not needed for count.' },
+        aggregate: { type: 'STRING', description: 'One of "count", "mean", "median", "sum". Defaults to "mean".' },
+        duration_buckets: {
+          type: 'ARRAY',
+          items: { type: 'NUMBER' },
+          description: 'For duration_bucket: bucket boundaries in seconds. Defaults to [180, 600, 1200] (shorts, under 10 min, 10–20 min, 20+ min).',
+        },
+        keywords: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'For title_keyword: one group per keyword (case-insensitive) plus one for titles with none of them. A title with several keywords counts in each.',
+        },
+        time_zone: {
+          type: 'STRING',
+          description: 'IANA time zone the release dates are read in for year, quarter, month, month_of_year and weekday, e.g. "America/New_York". Defaults to UTC.',
+        },
+        title: { type: 'STRING', description: 'Optional title for the chart.' },
+        filter: FILTER_SCHEMA,
+      },
+      required: ['group_by'],
+    },
+  },
+  {
+    name: 'find_outliers',
+    description:
+      'Find the videos that over- or under-performed: each video\'s views are scored against a rolling baseline of the uploads released around it ' +
+      '(median and MAD of their log views), so a channel\'s growth over time doesn\'t count as outperformance. ' +
+      'Returns the top breakouts and flops with their scores, shown to the user as clickable video cards. ' +
+      'Use this for "which videos did unusually well / badly", "breakout videos", "flops".',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        window: { type: 'NUMBER', description: 'Number of neighbouring uploads in each baseline (default 10, min 4).' },
+        normalize_by_age: {
+          type: 'BOOLEAN',
+          description: 'Score views per day since release instead of total views, so recent uploads are not penalised for being young (default false).',
+        },
+        threshold: { type: 'NUMBER', description: 'Minimum absolute score for a video to count as an outlier, above 0 (default 2).' },
+        top_n: { type: 'NUMBER', description: 'Maximum breakouts and flops to return each (default 5, max 10).' },
+        filter: FILTER_SCHEMA,
+      },
+    },
+  },
   {
     name: 'play_video',
     description:
@@ -60,27 +192,69 @@ export const JSON_TOOL_DECLARATIONS = [
     },
   },
   {
-    name: 'generateImage',
+    name: 'compare_videos',
     description:
-      'Generate an image from a text prompt. If the user has dragged in an anchor/reference image, it will be used as a base. ' +
-      'Call this when the user asks to generate, create, or make an image, picture, illustration, or artwork. ' +
-      'Returns the generated image to display in the chat.',
+      'Compare two or more videos from the loaded channel data side by side — e.g. "the asbestos video vs the newest one". ' +
+      'Each video is identified the same way as for play_video (title words, ordinal, or "most viewed" / "newest" etc.). ' +
+      'Shows the user a comparison card with thumbnails, views, likes, comments, duration, age, engagement rates and ' +
+      'the percent difference of each from the channel median.',
     parameters: {
       type: 'OBJECT',
       properties: {
-        prompt: {
-          type: 'STRING',
-          description: 'Detailed text description of the image to generate.',
+        queries: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'One description per video, 2 to 6 of them, e.g. ["asbestos", "newest"].',
         },
       },
-      required: ['prompt'],
+      required: ['queries'],
+    },
+  },
+  {
+    name: 'search_transcripts',
+    description:
+      'Find where a word or phrase is said across the transcripts of all loaded videos. Returns each hit with the surrounding transcript ' +
+      'and its timestamp, shown to the user as video cards that open the video at that moment. ' +
+      'Use this for "which videos mention X", "where does he talk about Y", "find the part about Z".',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        query: { type: 'STRING', description: 'Word or phrase to find (case-insensitive).' },
+        max_results: { type: 'NUMBER', description: 'Maximum hits to return (default 10, max 25).' },
+        per_video: { type: 'NUMBER', description: 'Maximum hits per video (default 3).' },
+        filter: FILTER_SCHEMA,
+      },
+      required: ['query'],
+    },
+  },
+  {
+    name: 'cluster_topics',
+    description:
+      'Group the videos into content themes from their titles, descriptions and transcripts (TF-IDF and k-means, computed locally), ' +
+      'label each theme with its top terms and report per theme the number of videos and the median views and engagement. ' +
+      'Shows the user a chart of the themes and an expandable list of each theme\'s videos. ' +
+      'Use this for "what topics does the channel cover", "which themes get the most views", "group the videos by subject".',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        k: {
+          type: 'NUMBER',
+          description: `Number of themes (2–${MAX_K}). Omit to pick the number that separates the videos best.`,
+        },
+        use_transcripts: {
+          type: 'BOOLEAN',
+          description: 'Include transcripts in the text (default true); false clusters on titles and descriptions only.',
+        },
+        title: { type: 'STRING', description: 'Optional title for the chart.' },
+        filter: FILTER_SCHEMA,
+      },
     },
   },
 ];
 
 // ── Helper functions ─────────────────────────────────────────────────────────
 
-const resolveField = (videos, name) => {
+export const resolveField = (videos, name) => {
   if (!videos.length || !name) return name;
   const keys = Object.keys(videos[0]);
   if (keys.includes(name)) return name;
@@ -99,6 +273,675 @@ const median = (sorted) =>
 
 const fmt = (n) => +n.toFixed(4);
 
+const hasTranscript = (v) =>
+  Array.isArray(v.transcript) ? v.transcript.length > 0 : typeof v.transcript === 'string' && !!v.transcript.trim();
+
+// Transcripts are [{ start, duration, text }] segments; files from before
+// timestamps were kept have one plain string, read as a single untimed segment.
+export const transcriptSegments = (v) => {
+  if (Array.isArray(v.transcript)) return v.transcript.filter((s) => s && typeof s.text === 'string');
+  if (typeof v.transcript === 'string' && v.transcript.trim()) return [{ start: null, duration: null, text: v.transcript }];
+  return [];
+};
+
+export const transcriptText = (v) => transcriptSegments(v).map((s) => s.text).join(' ');
+
+// m:ss or h:mm:ss
+export const formatTimestamp = (sec) => {
+  const total = Math.floor(sec);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const ss = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+};
+
+// Video URL that starts playback at `sec`
+export const videoUrlAt = (v, sec) => {
+  const base = v.videoUrl || `https://www.youtube.com/watch?v=${v.videoId}`;
+  return sec == null ? base : `${base}${base.includes('?') ? '&' : '?'}t=${Math.floor(sec)}s`;
+};
+
+// YYYY-MM-DD of a date string, or null when it doesn't parse
+const dayOf = (value) => {
+  const d = new Date(value);
+  return value && !isNaN(d) ? d.toISOString().slice(0, 10) : null;
+};
+
+// ── Derived fields (added when the JSON is loaded) ──────────────────────────
+// Ratios and normalised metrics the raw YouTube export lacks. Missing or zero
+// inputs give null. Recomputed on every load — viewsPerDay moves with the
+// clock and restored datasets already carry the fields — so this is idempotent.
+
+export const DERIVED_FIELDS = {
+  likesPerView: 'likeCount ÷ viewCount',
+  commentsPerView: 'commentCount ÷ viewCount',
+  viewsPerDay: 'viewCount ÷ days since release',
+  durationMinutes: 'duration in minutes',
+  outlierScore: 'viewCount ÷ channel median viewCount (1 = typical, 3 = three times the median)',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ratio = (a, b, digits = 6) => {
+  const x = parseFloat(a);
+  const y = parseFloat(b);
+  return !isNaN(x) && !isNaN(y) && y > 0 ? +(x / y).toFixed(digits) : null;
+};
+
+export const enrichVideos = (videos, now = Date.now()) => {
+  if (!videos.length) return videos;
+  const views = numericValues(videos, 'viewCount').sort((a, b) => a - b);
+  const medianViews = views.length ? median(views) : null;
+
+  return videos.map((v) => {
+    const released = new Date(v.releaseDate);
+    const ageDays = v.releaseDate && !isNaN(released) ? Math.max(1, (now - released) / DAY_MS) : null;
+    const duration = parseFloat(v.duration);
+    return {
+      ...v,
+      likesPerView: ratio(v.likeCount, v.viewCount),
+      commentsPerView: ratio(v.commentCount, v.viewCount),
+      viewsPerDay: ageDays ? ratio(v.viewCount, ageDays, 2) : null,
+      durationMinutes: isNaN(duration) ? null : +(duration / 60).toFixed(2),
+      outlierScore: ratio(v.viewCount, medianViews, 3),
+    };
+  });
+};
+
+// ── Dataset summary (auto-computed when the JSON is loaded) ──────────────────
+// The JSON counterpart of computeDatasetSummary in csvTools: exact field
+// names with their types and ranges, so the model never guesses at them.
+
+const DATE_VALUE = /^\d{4}-\d{2}-\d{2}/;
+
+export const computeVideoSummary = (videos) => {
+  if (!videos.length) return '';
+  const fields = Object.keys(videos[0]);
+  const lines = [`**Dataset: ${videos.length} videos × ${fields.length} fields**\n`];
+  const numeric = [];
+  const dates = [];
+  const text = [];
+  const empty = [];
+
+  fields.forEach((field) => {
+    const vals = videos.map((v) => v[field]).filter((x) => x !== '' && x !== undefined && x !== null);
+    if (!vals.length || vals.every((x) => Array.isArray(x) && !x.length)) {
+      empty.push(field);
+      return;
+    }
+    const nums = numericValues(videos, field);
+    if (nums.length / vals.length >= 0.8 && vals.every((x) => typeof x !== 'string' || !DATE_VALUE.test(x))) {
+      const sorted = [...nums].sort((a, b) => a - b);
+      const mean = nums.reduce((a, b) => a + b, 0) / nums.length;
+      const derived = DERIVED_FIELDS[field] ? ` — derived: ${DERIVED_FIELDS[field]}` : '';
+      numeric.push(
+        `  • "${field}": mean=${fmt(mean)}, median=${fmt(median(sorted))}, min=${sorted[0]}, max=${sorted[sorted.length - 1]}, n=${nums.length}${derived}`
+      );
+      return;
+    }
+    const days = vals.map(dayOf).filter(Boolean).sort();
+    if (days.length / vals.length >= 0.8 && vals.every((x) => typeof x === 'string' && DATE_VALUE.test(x))) {
+      dates.push(`  • "${field}": ${days[0]} → ${days[days.length - 1]}, n=${days.length}`);
+      return;
+    }
+    const lengths = vals.map((x) => (Array.isArray(x) ? x.length : String(x).length));
+    const avg = Math.round(lengths.reduce((a, b) => a + b, 0) / lengths.length);
+    const unit = vals.some(Array.isArray) ? 'items' : 'chars';
+    text.push(`  • "${field}": ${vals.length} non-empty, avg ${avg} ${unit}`);
+  });
+
+  if (numeric.length) {
+    lines.push('**Numeric fields** (exact names — use these verbatim in tool calls):');
+    lines.push(...numeric);
+  }
+  if (dates.length) {
+    lines.push('\n**Date fields** (YYYY-MM-DD range):');
+    lines.push(...dates);
+  }
+  if (text.length) {
+    lines.push('\n**Text fields**:');
+    lines.push(...text);
+  }
+  if (empty.length) {
+    lines.push(`\n**Empty in this export**: ${empty.join(', ')}`);
+  }
+
+  return lines.join('\n');
+};
+
+// ── Video filter ─────────────────────────────────────────────────────────────
+// Returns { videos } with the videos that meet every condition of `filter`
+// (see FILTER_SCHEMA), or { error } when a condition can't be applied.
+
+export function applyVideoFilter(videos, filter) {
+  if (!filter || typeof filter !== 'object') return { videos };
+  const availableFields = videos.length ? Object.keys(videos[0]) : [];
+  const tests = [];
+
+  if (filter.ranges != null && !Array.isArray(filter.ranges))
+    return { error: 'filter.ranges must be a list like [{"field": "viewCount", "min": 1000}]' };
+  for (const range of filter.ranges || []) {
+    if (!range || typeof range !== 'object' || typeof range.field !== 'string')
+      return { error: `Each filter range needs a "field" name, got ${JSON.stringify(range)}` };
+    const field = resolveField(videos, range.field);
+    if (!availableFields.includes(field))
+      return { error: `Unknown field "${range.field}" in filter. Available fields: ${availableFields.join(', ')}` };
+    const [min, max] = [range.min ?? -Infinity, range.max ?? Infinity].map(Number);
+    if (isNaN(min) || isNaN(max))
+      return { error: `min and max of the "${range.field}" range must be numbers` };
+    tests.push((v) => {
+      const n = parseFloat(v[field]);
+      return !isNaN(n) && n >= min && n <= max;
+    });
+  }
+
+  for (const [key, compare] of [
+    ['released_after', (day, bound) => day >= bound],
+    ['released_before', (day, bound) => day <= bound],
+  ]) {
+    if (!filter[key]) continue;
+    const bound = dayOf(filter[key]);
+    if (!bound) return { error: `${key} must be a date like 2025-01-31, got "${filter[key]}"` };
+    tests.push((v) => {
+      const day = dayOf(v.releaseDate);
+      return !!day && compare(day, bound);
+    });
+  }
+
+  for (const [key, field] of [
+    ['title_contains', 'title'],
+    ['description_contains', 'description'],
+  ]) {
+    if (!filter[key]) continue;
+    const needle = String(filter[key]).toLowerCase();
+    tests.push((v) => String(v[field] || '').toLowerCase().includes(needle));
+  }
+
+  if (typeof filter.has_transcript === 'boolean') {
+    tests.push((v) => hasTranscript(v) === filter.has_transcript);
+  }
+
+  return { videos: videos.filter((v) => tests.every((test) => test(v))) };
+}
+
+// ── Video query ──────────────────────────────────────────────────────────────
+
+const DEFAULT_QUERY_FIELDS = ['title', 'releaseDate', 'viewCount', 'likeCount', 'commentCount', 'duration'];
+const MAX_QUERY_ROWS = 100;
+const MAX_CELL_CHARS = 200;
+
+const isNumeric = (x) => x !== null && x !== '' && typeof x !== 'boolean' && !isNaN(Number(x));
+
+// Ascending order for table cells: numbers numerically, anything else as text,
+// missing values last. Also used by the chat's sortable grid.
+export const compareCells = (a, b) => {
+  const missingA = a == null || a === '';
+  const missingB = b == null || b === '';
+  if (missingA || missingB) return missingA - missingB;
+  return isNumeric(a) && isNumeric(b) ? Number(a) - Number(b) : String(a).localeCompare(String(b));
+};
+
+// Long text (descriptions, transcripts) is cut so the table stays compact
+const cellValue = (value) => {
+  if (Array.isArray(value)) return `${value.length} items`;
+  if (typeof value === 'string' && value.length > MAX_CELL_CHARS) return value.slice(0, MAX_CELL_CHARS) + '…';
+  return value ?? null;
+};
+
+function queryVideos(videos, args) {
+  const availableFields = videos.length ? Object.keys(videos[0]) : [];
+  const { videos: matched, error } = applyVideoFilter(videos, args.filter);
+  if (error) return { error };
+
+  // A list of field names; a comma-separated string is accepted too
+  const fields = typeof args.fields === 'string' ? args.fields.split(',').map((f) => f.trim()).filter(Boolean) : args.fields;
+  if (fields != null && !(Array.isArray(fields) && fields.every((f) => typeof f === 'string')))
+    return { error: 'fields must be a list of field names, e.g. ["title", "viewCount"]' };
+  const requested = fields?.length ? fields : DEFAULT_QUERY_FIELDS;
+  const columns = requested.map((f) => resolveField(videos, f)).filter((f) => availableFields.includes(f));
+  if (!columns.length) return { error: `None of the fields exist. Available fields: ${availableFields.join(', ')}` };
+
+  const sortBy = resolveField(videos, args.sort_by || 'releaseDate');
+  if (!availableFields.includes(sortBy))
+    return { error: `Cannot sort by "${args.sort_by}". Available fields: ${availableFields.join(', ')}` };
+  const ascending = !!args.ascending;
+  const valueOf = (v) => (sortBy === 'releaseDate' ? dayOf(v.releaseDate) : v[sortBy]);
+  const sorted = [...matched].sort((a, b) => {
+    const [va, vb] = [valueOf(a), valueOf(b)];
+    const order = compareCells(va, vb);
+    // Missing values stay last in either direction
+    return va == null || va === '' || vb == null || vb === '' ? order : ascending ? order : -order;
+  });
+
+  const limit = Math.min(Math.max(1, parseInt(args.limit) || 20), MAX_QUERY_ROWS);
+  return {
+    _tableType: 'videos',
+    columns,
+    rows: sorted.slice(0, limit).map((v) => ({
+      ...Object.fromEntries(columns.map((c) => [c, cellValue(v[c])])),
+      videoUrl: v.videoUrl || null,
+    })),
+    matched: matched.length,
+    total: videos.length,
+    sortBy,
+    ascending,
+  };
+}
+
+// ── Forecasting ──────────────────────────────────────────────────────────────
+// Each model is fit on points { t (days since the first upload), y } and
+// returns predict(t, step, z) → { value, lower, upper } for a future upload at
+// day t, `step` uploads after the last one. Intervals use the normal
+// approximation of each model's residual spread; log-linear bands are
+// asymmetric because they're computed on the log scale.
+
+const FORECAST_Z = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96 };
+const DEFAULT_HORIZON = 5;
+const MAX_HORIZON = 24;
+const MIN_FORECAST_POINTS = 4;
+
+const sig = (n) => +n.toPrecision(6);
+
+function fitLinear(points) {
+  const n = points.length;
+  const mt = points.reduce((a, p) => a + p.t, 0) / n;
+  const my = points.reduce((a, p) => a + p.y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  for (const p of points) {
+    sxx += (p.t - mt) ** 2;
+    sxy += (p.t - mt) * (p.y - my);
+  }
+  const slope = sxx ? sxy / sxx : 0;
+  const intercept = my - slope * mt;
+  const sse = points.reduce((a, p) => a + (p.y - (intercept + slope * p.t)) ** 2, 0);
+  const s = Math.sqrt(sse / Math.max(1, n - 2));
+  return {
+    params: { intercept: sig(intercept), slopePerDay: sig(slope) },
+    predict: (t, step, z) => {
+      const value = intercept + slope * t;
+      const se = s * Math.sqrt(1 + 1 / n + (sxx ? (t - mt) ** 2 / sxx : 0));
+      return { value, lower: value - z * se, upper: value + z * se };
+    },
+  };
+}
+
+function fitLogLinear(points) {
+  const positive = points.filter((p) => p.y > 0);
+  if (positive.length < MIN_FORECAST_POINTS - 1) return null;
+  const fit = fitLinear(positive.map((p) => ({ t: p.t, y: Math.log(p.y) })));
+  const slope = fit.params.slopePerDay;
+  return {
+    params: { growthPer30Days: fmt(Math.exp(slope * 30) - 1) },
+    predict: (t, step, z) => {
+      const { value, lower, upper } = fit.predict(t, step, z);
+      return { value: Math.exp(value), lower: Math.exp(lower), upper: Math.exp(upper) };
+    },
+  };
+}
+
+// Holt's linear method over upload order (not calendar time); alpha and beta
+// are picked on a 0.1 grid by the one-step-ahead squared error.
+function fitHolt(points) {
+  const ys = points.map((p) => p.y);
+  const run = (alpha, beta) => {
+    let level = ys[0];
+    let trend = ys[1] - ys[0];
+    let sse = 0;
+    for (let i = 1; i < ys.length; i++) {
+      const err = ys[i] - (level + trend);
+      sse += err ** 2;
+      const prevLevel = level;
+      level = alpha * ys[i] + (1 - alpha) * (level + trend);
+      trend = beta * (level - prevLevel) + (1 - beta) * trend;
+    }
+    return { alpha, beta, level, trend, sse };
+  };
+  let best = null;
+  for (let a = 1; a <= 9; a++) {
+    for (let b = 1; b <= 9; b++) {
+      const fit = run(a / 10, b / 10);
+      if (!best || fit.sse < best.sse) best = fit;
+    }
+  }
+  const { alpha, beta, level, trend, sse } = best;
+  const sigma = Math.sqrt(sse / Math.max(1, ys.length - 3));
+  return {
+    params: { alpha, beta, level: sig(level), trendPerUpload: sig(trend) },
+    predict: (t, step, z) => {
+      const value = level + step * trend;
+      let factor = 1;
+      for (let j = 1; j < step; j++) factor += (alpha * (1 + j * beta)) ** 2;
+      const se = sigma * Math.sqrt(factor);
+      return { value, lower: value - z * se, upper: value + z * se };
+    },
+  };
+}
+
+const FORECAST_MODELS = { linear: fitLinear, log_linear: fitLogLinear, holt: fitHolt };
+
+// Mean absolute error of each model forecasting the last ~20% of uploads from the rest
+function holdoutErrors(points) {
+  const k = Math.max(1, Math.floor(points.length / 5));
+  const train = points.slice(0, -k);
+  const test = points.slice(-k);
+  const errors = {};
+  for (const [name, fitModel] of Object.entries(FORECAST_MODELS)) {
+    const fit = train.length >= MIN_FORECAST_POINTS - 1 ? fitModel(train) : null;
+    if (!fit) continue;
+    const mae = test.reduce((a, p, i) => a + Math.abs(p.y - fit.predict(p.t, i + 1, 0).value), 0) / test.length;
+    if (Number.isFinite(mae)) errors[name] = sig(mae);
+  }
+  return errors;
+}
+
+const chartLabel = (date) =>
+  new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: '2-digit' });
+
+function forecastMetric(videos, args) {
+  const { videos: subset, error } = applyVideoFilter(videos, args.filter);
+  if (error) return { error };
+  const availableFields = videos.length ? Object.keys(videos[0]) : [];
+  const metric = resolveField(videos, args.metric);
+  if (!availableFields.includes(metric))
+    return { error: `Unknown field "${args.metric}". Available fields: ${availableFields.join(', ')}` };
+
+  const history = subset
+    .filter((v) => v.releaseDate && !isNaN(new Date(v.releaseDate)) && !isNaN(parseFloat(v[metric])))
+    .sort((a, b) => new Date(a.releaseDate) - new Date(b.releaseDate));
+  if (history.length < MIN_FORECAST_POINTS)
+    return { error: `Need at least ${MIN_FORECAST_POINTS} videos with a release date and a numeric ${metric}; found ${history.length}.` };
+
+  const start = new Date(history[0].releaseDate).getTime();
+  const points = history.map((v) => ({ t: (new Date(v.releaseDate) - start) / DAY_MS, y: parseFloat(v[metric]) }));
+
+  const requested = args.model || 'auto';
+  if (requested !== 'auto' && !FORECAST_MODELS[requested])
+    return { error: `Unknown model "${requested}". Use auto, linear, log_linear or holt.` };
+  const errors = holdoutErrors(points);
+  const model =
+    requested === 'auto'
+      ? Object.entries(errors).sort((a, b) => a[1] - b[1])[0]?.[0] || 'linear'
+      : requested;
+  const fit = FORECAST_MODELS[model](points);
+  if (!fit) return { error: `${model} needs positive ${metric} values; try linear or holt.` };
+
+  const confidence = FORECAST_Z[args.confidence] ? Number(args.confidence) : 0.95;
+  const z = FORECAST_Z[confidence];
+  const horizon = Math.min(Math.max(1, parseInt(args.horizon) || DEFAULT_HORIZON), MAX_HORIZON);
+  const gaps = points.slice(1).map((p, i) => p.t - points[i].t).sort((a, b) => a - b);
+  const cadence = Math.max(1, median(gaps));
+  const nonNegative = points.every((p) => p.y >= 0);
+  const clamp = (n) => (nonNegative ? Math.max(0, n) : n);
+
+  const last = points[points.length - 1];
+  const predictions = Array.from({ length: horizon }, (_, i) => {
+    const t = last.t + (i + 1) * cadence;
+    const { value, lower, upper } = fit.predict(t, i + 1, z);
+    const date = new Date(start + t * DAY_MS).toISOString().slice(0, 10);
+    return { date, value: sig(clamp(value)), lower: sig(clamp(lower)), upper: sig(clamp(upper)) };
+  });
+
+  const lastValue = last.y;
+  const data = [
+    ...history.map((v, i) => ({
+      date: v.releaseDate,
+      label: chartLabel(v.releaseDate),
+      value: parseFloat(v[metric]),
+      title: (v.title || '').slice(0, 40),
+      // The dashed line and band start from the last real upload
+      ...(i === history.length - 1 && { forecast: lastValue, band: [lastValue, lastValue] }),
+    })),
+    ...predictions.map((p) => ({
+      date: p.date,
+      label: chartLabel(p.date),
+      forecast: p.value,
+      band: [p.lower, p.upper],
+      title: 'Forecast',
+    })),
+  ];
+
+  return {
+    _chartType: 'metric_vs_time',
+    metric,
+    chartTitle: args.title || `${metric} forecast (${model.replace('_', '-')})`,
+    data,
+    forecast: {
+      model,
+      params: fit.params,
+      confidence,
+      cadenceDays: fmt(cadence),
+      holdoutMae: errors,
+      predictions,
+    },
+  };
+}
+
+// ── Grouping ─────────────────────────────────────────────────────────────────
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Release-date parts as { key, label }; keys sort chronologically. Each takes
+// the local calendar date (see localDate) and reads it with the UTC getters.
+const DATE_PARTS = {
+  year: (d) => ({ key: d.getUTCFullYear(), label: String(d.getUTCFullYear()) }),
+  quarter: (d) => {
+    const q = Math.floor(d.getUTCMonth() / 3) + 1;
+    return { key: d.getUTCFullYear() * 10 + q, label: `Q${q} ${d.getUTCFullYear()}` };
+  },
+  month: (d) => ({
+    key: d.getUTCFullYear() * 100 + d.getUTCMonth(),
+    label: `${MONTHS[d.getUTCMonth()]} ${d.getUTCFullYear()}`,
+  }),
+  month_of_year: (d) => ({ key: d.getUTCMonth(), label: MONTHS[d.getUTCMonth()] }),
+  weekday: (d) => {
+    const day = (d.getUTCDay() + 6) % 7;
+    return { key: day, label: WEEKDAYS[day] };
+  },
+};
+
+// Midnight UTC of the calendar day `d` falls on in the formatter's time zone
+const localDate = (formatter, d) => {
+  const parts = Object.fromEntries(formatter.formatToParts(d).map((p) => [p.type, p.value]));
+  return new Date(Date.UTC(+parts.year, +parts.month - 1, +parts.day));
+};
+
+const DEFAULT_DURATION_BUCKETS = [180, 600, 1200];
+
+const durationText = (sec) => (sec < 60 ? `${sec}s` : `${+(sec / 60).toFixed(1)} min`);
+
+const rangeText = (from, to) =>
+  from >= 60 ? `${+(from / 60).toFixed(1)}–${durationText(to)}` : `${durationText(from)}–${durationText(to)}`;
+
+// Buckets [{ label, max }] from ascending boundaries in seconds; null without any.
+const durationBuckets = (boundaries) => {
+  const edges = [...new Set(boundaries.map(Number).filter((n) => n > 0))].sort((a, b) => a - b);
+  if (!edges.length) return null;
+  return [
+    { label: `< ${durationText(edges[0])}`, max: edges[0] },
+    ...edges.slice(1).map((edge, i) => ({ label: rangeText(edges[i], edge), max: edge })),
+    { label: `${durationText(edges[edges.length - 1])}+`, max: Infinity },
+  ];
+};
+
+const AGGREGATES = {
+  count: (vals, group) => group.length,
+  mean: (vals) => (vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : null),
+  median: (vals) => (vals.length ? median([...vals].sort((a, b) => a - b)) : null),
+  sum: (vals) => vals.reduce((a, b) => a + b, 0),
+};
+
+// Returns [{ label, videos }] in display order, or { error }.
+function groupVideos(videos, args) {
+  const groupBy = args.group_by;
+
+  if (DATE_PARTS[groupBy]) {
+    const timeZone = args.time_zone || 'UTC';
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+    } catch {
+      return { error: `Unknown time zone "${timeZone}". Use an IANA name such as "America/New_York".` };
+    }
+    const groups = new Map();
+    for (const v of videos) {
+      const d = new Date(v.releaseDate);
+      if (!v.releaseDate || isNaN(d)) continue;
+      const { key, label } = DATE_PARTS[groupBy](localDate(formatter, d));
+      if (!groups.has(key)) groups.set(key, { label, videos: [] });
+      groups.get(key).videos.push(v);
+    }
+    return [...groups.entries()].sort((a, b) => a[0] - b[0]).map(([, g]) => g);
+  }
+
+  if (groupBy === 'duration_bucket') {
+    const boundaries = args.duration_buckets?.length ? args.duration_buckets : DEFAULT_DURATION_BUCKETS;
+    const buckets = durationBuckets(boundaries)?.map((b) => ({ ...b, videos: [] }));
+    if (!buckets) return { error: 'duration_buckets needs at least one positive boundary in seconds.' };
+    for (const v of videos) {
+      const sec = parseFloat(v.duration);
+      if (isNaN(sec)) continue;
+      buckets.find((b) => sec < b.max).videos.push(v);
+    }
+    return buckets.map(({ label, videos: vids }) => ({ label, videos: vids }));
+  }
+
+  if (groupBy === 'title_keyword') {
+    const keywords = (args.keywords || []).map((k) => String(k).trim()).filter(Boolean);
+    if (!keywords.length) return { error: 'title_keyword grouping needs at least one keyword.' };
+    const has = (v, k) => (v.title || '').toLowerCase().includes(k.toLowerCase());
+    return [
+      ...keywords.map((k) => ({ label: `"${k}"`, videos: videos.filter((v) => has(v, k)) })),
+      { label: 'None of these', videos: videos.filter((v) => !keywords.some((k) => has(v, k))) },
+    ];
+  }
+
+  return {
+    error: `Unknown group_by "${groupBy}". Use one of: ${[...Object.keys(DATE_PARTS), 'duration_bucket', 'title_keyword'].join(', ')}`,
+  };
+}
+
+function groupAndAggregate(videos, args) {
+  const availableFields = videos.length ? Object.keys(videos[0]) : [];
+  const { videos: subset, error: filterError } = applyVideoFilter(videos, args.filter);
+  if (filterError) return { error: filterError };
+  if (!subset.length) return { error: 'No videos match the filter.' };
+
+  const aggregate = args.aggregate || 'mean';
+  if (!AGGREGATES[aggregate]) return { error: `Unknown aggregate "${aggregate}". Use count, mean, median or sum.` };
+  const metric = aggregate === 'count' ? null : resolveField(videos, args.metric || 'viewCount');
+  if (metric && !availableFields.includes(metric))
+    return { error: `Unknown field "${args.metric}". Available fields: ${availableFields.join(', ')}` };
+
+  const groups = groupVideos(subset, args);
+  if (groups.error) return groups;
+
+  const data = groups.map(({ label, videos: group }) => {
+    const value = AGGREGATES[aggregate](metric ? numericValues(group, metric) : [], group);
+    return { label, value: value == null ? null : fmt(value), count: group.length };
+  });
+  if (!data.some((d) => d.count)) return { error: `No videos have the data needed to group by ${args.group_by}.` };
+
+  const timeZone = DATE_PARTS[args.group_by] ? args.time_zone || 'UTC' : null;
+  const groupText = `${args.group_by.replace(/_/g, ' ')}${timeZone ? ` (${timeZone})` : ''}`;
+  return {
+    _chartType: 'bar',
+    metric: metric || 'videos',
+    aggregate,
+    groupBy: args.group_by,
+    timeZone,
+    chartTitle: args.title || (metric ? `${aggregate} ${metric} by ${groupText}` : `Videos by ${groupText}`),
+    data,
+  };
+}
+
+// ── Outliers ─────────────────────────────────────────────────────────────────
+// A video's score is a robust z-score of its log views against the videos
+// released just before and after it: (log v − median) / (1.4826 · MAD). Logs
+// keep one viral hit from dominating the spread; the MAD scale has a floor so
+// a run of near-identical neighbours doesn't turn small differences into huge scores.
+
+const DEFAULT_OUTLIER_WINDOW = 10;
+const MIN_OUTLIER_WINDOW = 4;
+const MIN_LOG_SCALE = 0.05; // ≈ ±12% views
+const MAX_OUTLIERS = 10;
+
+const outlierCard = (v, kind, stats) => ({
+  _cardType: 'video',
+  videoId: v.videoId,
+  title: v.title,
+  thumbnailUrl: v.thumbnailUrl,
+  videoUrl: v.videoUrl,
+  viewCount: v.viewCount,
+  duration: v.duration,
+  releaseDate: v.releaseDate,
+  outlier: { kind, ...stats },
+});
+
+function findOutliers(videos, args) {
+  const { videos: subset, error } = applyVideoFilter(videos, args.filter);
+  if (error) return { error };
+  const threshold = args.threshold == null || args.threshold === '' ? 2 : Number(args.threshold);
+  if (!(threshold > 0)) return { error: `threshold must be a positive number, got ${JSON.stringify(args.threshold)}` };
+
+  const byAge = !!args.normalize_by_age;
+  const metric = byAge ? 'viewsPerDay' : 'viewCount';
+  const now = Date.now();
+  const valueOf = (v) => {
+    if (!byAge) return parseFloat(v.viewCount);
+    const ageDays = Math.max(1, (now - new Date(v.releaseDate)) / DAY_MS);
+    return parseFloat(v.viewCount) / ageDays;
+  };
+
+  const series = subset
+    .filter((v) => v.releaseDate && !isNaN(new Date(v.releaseDate)) && !isNaN(parseFloat(v.viewCount)))
+    .sort((a, b) => new Date(a.releaseDate) - new Date(b.releaseDate))
+    .map((v) => ({ video: v, value: valueOf(v) }))
+    .map((p) => ({ ...p, log: Math.log10(1 + p.value) }));
+
+  const windowSize = Math.max(MIN_OUTLIER_WINDOW, parseInt(args.window) || DEFAULT_OUTLIER_WINDOW);
+  if (series.length < MIN_OUTLIER_WINDOW + 1)
+    return { error: `Need at least ${MIN_OUTLIER_WINDOW + 1} videos with views and a release date; found ${series.length}.` };
+
+  const size = Math.min(windowSize, series.length - 1);
+  const scored = series.map((p, i) => {
+    // The `size` nearest uploads by position, shifted inward at either end
+    const start = Math.min(Math.max(0, i - Math.floor(size / 2)), series.length - 1 - size);
+    const neighbours = series.slice(start, start + size + 1).filter((n) => n !== p);
+    const logs = neighbours.map((n) => n.log).sort((a, b) => a - b);
+    const center = median(logs);
+    const mad = median(logs.map((x) => Math.abs(x - center)).sort((a, b) => a - b));
+    const score = (p.log - center) / Math.max(1.4826 * mad, MIN_LOG_SCALE);
+    const baseline = 10 ** center - 1;
+    return {
+      video: p.video,
+      score: +score.toFixed(2),
+      value: +p.value.toFixed(2),
+      baseline: Math.round(baseline),
+      ratio: baseline > 0 ? +(p.value / baseline).toFixed(2) : null,
+    };
+  });
+
+  const topN = Math.min(Math.max(1, parseInt(args.top_n) || 5), MAX_OUTLIERS);
+  const pick = (kind, test, order) =>
+    scored
+      .filter((s) => test(s.score))
+      .sort(order)
+      .slice(0, topN)
+      .map(({ video, ...stats }) => outlierCard(video, kind, stats));
+
+  return {
+    _cardType: 'outliers',
+    metric,
+    window: size,
+    threshold,
+    scored: scored.length,
+    breakouts: pick('breakout', (x) => x >= threshold, (a, b) => b.score - a.score),
+    flops: pick('flop', (x) => x <= -threshold, (a, b) => a.score - b.score),
+  };
+}
+
 // ── Ordinal resolver ─────────────────────────────────────────────────────────
 
 const ORDINALS = {
@@ -107,9 +950,10 @@ const ORDINALS = {
   last: -1,
 };
 
-function findVideo(videos, query) {
-  if (!videos.length) return null;
-  const q = query.toLowerCase().trim();
+// The video a description like "the asbestos one", "third" or "most viewed" refers to, or null
+export function findVideo(videos, query) {
+  const q = String(query ?? '').toLowerCase().trim();
+  if (!videos.length || !q) return null;
 
   // "most viewed" / "least viewed"
   if (q.includes('most viewed') || q.includes('most popular')) {
@@ -164,6 +1008,212 @@ function findVideo(videos, query) {
   return bestMatch;
 }
 
+// ── Transcript search ────────────────────────────────────────────────────────
+// The segments of a video are joined into one string so phrases that run across
+// segment boundaries still match; a hit is timed by the segment it starts in.
+
+const DEFAULT_TRANSCRIPT_HITS = 10;
+const MAX_TRANSCRIPT_HITS = 25;
+const CONTEXT_CHARS = 160;
+
+function searchTranscripts(videos, args) {
+  const query = String(args.query || '').replace(/\s+/g, ' ').trim();
+  if (!query) return { error: 'search_transcripts needs a query.' };
+  const { videos: subset, error } = applyVideoFilter(videos, args.filter);
+  if (error) return { error };
+
+  const maxResults = Math.min(Math.max(1, parseInt(args.max_results) || DEFAULT_TRANSCRIPT_HITS), MAX_TRANSCRIPT_HITS);
+  const perVideo = Math.max(1, parseInt(args.per_video) || 3);
+  const needle = query.toLowerCase();
+  const withTranscript = subset.filter(hasTranscript);
+  const hits = [];
+  let totalHits = 0;
+
+  for (const v of withTranscript) {
+    const segments = transcriptSegments(v);
+    // Character offset where each segment starts in the joined text
+    const starts = [];
+    let text = '';
+    for (const seg of segments) {
+      starts.push(text.length);
+      text += `${seg.text.replace(/\s+/g, ' ').trim()} `;
+    }
+    const lower = text.toLowerCase();
+
+    let found = 0;
+    for (let at = lower.indexOf(needle); at !== -1; at = lower.indexOf(needle, at + needle.length)) {
+      totalHits++;
+      if (found >= perVideo) continue;
+      found++;
+      let segIndex = 0;
+      while (segIndex + 1 < starts.length && starts[segIndex + 1] <= at) segIndex++;
+      const start = segments[segIndex].start;
+      const from = Math.max(0, at - CONTEXT_CHARS);
+      const to = Math.min(text.length, at + needle.length + CONTEXT_CHARS);
+      hits.push({
+        _cardType: 'video',
+        videoId: v.videoId,
+        title: v.title,
+        thumbnailUrl: v.thumbnailUrl,
+        videoUrl: videoUrlAt(v, start),
+        viewCount: v.viewCount,
+        duration: v.duration,
+        releaseDate: v.releaseDate,
+        transcriptHit: {
+          start,
+          timestamp: start == null ? null : formatTimestamp(start),
+          before: `${from > 0 ? '…' : ''}${text.slice(from, at).trimStart()}`,
+          match: text.slice(at, at + needle.length),
+          after: `${text.slice(at + needle.length, to).trimEnd()}${to < text.length ? '…' : ''}`,
+        },
+      });
+    }
+  }
+
+  return {
+    _cardType: 'transcript_hits',
+    query,
+    totalHits,
+    videosSearched: withTranscript.length,
+    videosWithoutTranscript: subset.length - withTranscript.length,
+    hits: hits.slice(0, maxResults),
+  };
+}
+
+// ── Comparison ───────────────────────────────────────────────────────────────
+
+const COMPARE_FIELDS = [
+  'viewCount',
+  'likeCount',
+  'commentCount',
+  'duration',
+  'ageDays',
+  'likesPerView',
+  'commentsPerView',
+  'viewsPerDay',
+];
+const MAX_COMPARED = 6;
+
+function compareVideos(videos, args) {
+  const listed = typeof args.queries === 'string' ? [args.queries] : args.queries || [];
+  if (!Array.isArray(listed)) return { error: 'queries must be a list of video descriptions, e.g. ["asbestos", "newest"]' };
+  const queries = listed.map((q) => String(q).trim()).filter(Boolean);
+  if (queries.length < 2) return { error: 'compare_videos needs at least two video descriptions.' };
+  if (queries.length > MAX_COMPARED) return { error: `compare_videos takes at most ${MAX_COMPARED} videos.` };
+
+  const now = Date.now();
+  const enriched = enrichVideos(videos, now).map((v) => {
+    const released = new Date(v.releaseDate);
+    return { ...v, ageDays: v.releaseDate && !isNaN(released) ? Math.floor((now - released) / DAY_MS) : null };
+  });
+
+  const picked = [];
+  for (const query of queries) {
+    const video = findVideo(enriched, query);
+    if (!video) return { error: `No video found matching "${query}"` };
+    picked.push({ query, video });
+  }
+  if (new Set(picked.map((p) => p.video)).size < 2)
+    return { error: `All descriptions matched the same video, "${picked[0].video.title}". Describe the videos differently.` };
+
+  const medians = {};
+  for (const field of COMPARE_FIELDS) {
+    const vals = numericValues(enriched, field).sort((a, b) => a - b);
+    medians[field] = vals.length ? fmt(median(vals)) : null;
+  }
+
+  return {
+    _cardType: 'comparison',
+    medians,
+    videos: picked.map(({ query, video }) => ({
+      query,
+      videoId: video.videoId,
+      title: video.title,
+      thumbnailUrl: video.thumbnailUrl,
+      videoUrl: video.videoUrl,
+      releaseDate: video.releaseDate,
+      metrics: Object.fromEntries(COMPARE_FIELDS.map((f) => [f, video[f] == null || isNaN(video[f]) ? null : Number(video[f])])),
+      // % above (+) or below (−) the channel median
+      vsMedian: Object.fromEntries(
+        COMPARE_FIELDS.map((f) => {
+          const value = parseFloat(video[f]);
+          return [f, isNaN(value) || !medians[f] ? null : +(((value - medians[f]) / medians[f]) * 100).toFixed(1)];
+        })
+      ),
+    })),
+  };
+}
+
+// ── Topic clusters ───────────────────────────────────────────────────────────
+// Titles count three times so short, on-topic titles aren't drowned out by a
+// long transcript.
+
+const TITLE_WEIGHT = 3;
+const CLUSTER_LABEL_TERMS = 3;
+
+const medianOrNull = (vals) => (vals.length ? fmt(median([...vals].sort((a, b) => a - b))) : null);
+const viewsOf = (v) => parseFloat(v.viewCount);
+const engagementOf = (v) => v.likesPerView ?? ratio(v.likeCount, v.viewCount);
+
+const clusterStats = (group) => ({
+  count: group.length,
+  medianViews: medianOrNull(group.map(viewsOf).filter((x) => !isNaN(x))),
+  medianLikesPerView: medianOrNull(group.map(engagementOf).filter((x) => x != null)),
+  medianCommentsPerView: medianOrNull(
+    group.map((v) => v.commentsPerView ?? ratio(v.commentCount, v.viewCount)).filter((x) => x != null)
+  ),
+});
+
+function clusterTopics(videos, args) {
+  const { videos: subset, error } = applyVideoFilter(videos, args.filter);
+  if (error) return { error };
+  if (!subset.length) return { error: 'No videos match the filter.' };
+
+  const useTranscripts = args.use_transcripts !== false;
+  const texts = subset.map((v) =>
+    [
+      ...Array(TITLE_WEIGHT).fill(v.title || ''),
+      v.description || '',
+      useTranscripts ? transcriptText(v) : '',
+    ].join(' ')
+  );
+  const k = args.k == null ? null : Number(args.k);
+  if (k != null && !(k >= 2 && k <= MAX_K)) return { error: `k must be between 2 and ${MAX_K}.` };
+
+  const result = clusterDocuments(texts, { k });
+  if (!result) return { error: 'Too few videos with text in common to find themes; try more videos or a looser filter.' };
+
+  const groups = result.clusters.map(() => []);
+  const unclustered = [];
+  subset.forEach((v, d) => (result.assignments[d] >= 0 ? groups[result.assignments[d]] : unclustered).push(v));
+
+  return {
+    _chartType: 'topics',
+    chartTitle: args.title || 'Video themes',
+    k: result.k,
+    silhouette: result.silhouette,
+    usedTranscripts: useTranscripts,
+    overall: clusterStats(subset),
+    clusters: result.clusters.map(({ terms }, i) => ({
+      id: i + 1,
+      label: terms.slice(0, CLUSTER_LABEL_TERMS).join(' · '),
+      terms,
+      ...clusterStats(groups[i]),
+      videos: groups[i]
+        .sort((a, b) => (viewsOf(b) || 0) - (viewsOf(a) || 0))
+        .map((v) => ({
+          videoId: v.videoId,
+          title: v.title,
+          videoUrl: v.videoUrl,
+          releaseDate: v.releaseDate,
+          viewCount: isNaN(viewsOf(v)) ? null : viewsOf(v),
+          likesPerView: engagementOf(v),
+        })),
+    })),
+    unclustered: unclustered.length,
+  };
+}
+
 // ── Tool executor ────────────────────────────────────────────────────────────
 
 export const executeJsonTool = (toolName, args, videos) => {
@@ -171,10 +1221,14 @@ export const executeJsonTool = (toolName, args, videos) => {
 
   switch (toolName) {
     case 'compute_stats_json': {
+      const { videos: subset, error } = applyVideoFilter(videos, args.filter);
+      if (error) return { error };
       const field = resolveField(videos, args.field);
-      const vals = numericValues(videos, field);
+      const vals = numericValues(subset, field);
       if (!vals.length)
-        return { error: `No numeric values found for field "${field}". Available fields: ${availableFields.join(', ')}` };
+        return subset.length
+          ? { error: `No numeric values found for field "${field}". Available fields: ${availableFields.join(', ')}` }
+          : { error: 'No videos match the filter.' };
       const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
       const sorted = [...vals].sort((a, b) => a - b);
       const variance = vals.reduce((a, b) => a + (b - mean) ** 2, 0) / vals.length;
@@ -186,12 +1240,16 @@ export const executeJsonTool = (toolName, args, videos) => {
         std: fmt(Math.sqrt(variance)),
         min: Math.min(...vals),
         max: Math.max(...vals),
+        ...(args.filter && { matchedVideos: subset.length, totalVideos: videos.length }),
       };
     }
 
     case 'plot_metric_vs_time': {
+      const { videos: subset, error } = applyVideoFilter(videos, args.filter);
+      if (error) return { error };
+      if (!subset.length) return { error: 'No videos match the filter.' };
       const metric = resolveField(videos, args.metric);
-      const chartData = videos
+      const chartData = subset
         .filter((v) => v.releaseDate && !isNaN(parseFloat(v[metric])))
         .sort((a, b) => new Date(a.releaseDate) - new Date(b.releaseDate))
         .map((v) => ({
@@ -212,7 +1270,29 @@ export const executeJsonTool = (toolName, args, videos) => {
       };
     }
 
+    case 'forecast_metric':
+      return forecastMetric(videos, args);
+
+    case 'query_videos':
+      return queryVideos(videos, args);
+
+    case 'group_and_aggregate':
+      return groupAndAggregate(videos, args);
+
+    case 'find_outliers':
+      return findOutliers(videos, args);
+
+    case 'compare_videos':
+      return compareVideos(videos, args);
+
+    case 'search_transcripts':
+      return searchTranscripts(videos, args);
+
+    case 'cluster_topics':
+      return clusterTopics(videos, args);
+
     case 'play_video': {
+      if (!String(args.query ?? '').trim()) return { error: 'play_video needs a query describing the video.' };
       const video = findVideo(videos, args.query);
       if (!video) return { error: `No video found matching "${args.query}"` };
       return {
@@ -227,14 +1307,129 @@ export const executeJsonTool = (toolName, args, videos) => {
       };
     }
 
-    case 'generateImage': {
-      return {
-        _actionType: 'generateImage',
-        prompt: args.prompt,
-      };
-    }
-
     default:
       return { error: `Unknown tool: ${toolName}` };
   }
 };
+
+// ── Model-facing result ──────────────────────────────────────────────────────
+// Charts and cards are rendered for the user; Gemini only gets a short
+// confirmation so it writes natural text instead of echoing raw JSON.
+
+export const summarizeForModel = (toolResult) => {
+  if (toolResult?._cardType === 'video') {
+    // Views are left out when the data has none, rather than telling the model "NaN views"
+    const views = parseFloat(toolResult.viewCount);
+    const viewsNote = Number.isFinite(views) ? ` (${views.toLocaleString()} views)` : '';
+    return { status: 'success', message: `Now showing video card for "${toolResult.title}"${viewsNote}. The card is displayed to the user with a clickable thumbnail that opens on YouTube.` };
+  }
+  if (toolResult?._cardType === 'transcript_hits') {
+    const { query, hits, totalHits, videosSearched, videosWithoutTranscript } = toolResult;
+    return {
+      status: 'success',
+      message:
+        `"${query}" occurs ${totalHits} times across ${videosSearched} transcripts` +
+        `${videosWithoutTranscript ? ` (videos without a transcript: ${videosWithoutTranscript})` : ''}. ` +
+        (hits.length
+          ? `${hits.length} hits are shown to the user as video cards that open at the quoted moment.`
+          : 'Nothing to show.'),
+      hits: hits.map((h) => ({
+        title: h.title,
+        timestamp: h.transcriptHit.timestamp,
+        url: h.videoUrl,
+        context: `${h.transcriptHit.before}${h.transcriptHit.match}${h.transcriptHit.after}`,
+      })),
+    };
+  }
+  if (toolResult?._cardType === 'comparison') {
+    return {
+      status: 'success',
+      message:
+        `A comparison card of ${toolResult.videos.length} videos is now displayed to the user. ` +
+        'vsMedian is each metric\'s percent difference from the channel median; ageDays is days since release; duration is in seconds.',
+      channelMedians: toolResult.medians,
+      videos: toolResult.videos.map(({ query, title, releaseDate, metrics, vsMedian }) => ({ query, title, releaseDate, metrics, vsMedian })),
+    };
+  }
+  if (toolResult?._cardType === 'outliers') {
+    const { breakouts, flops, metric, window, threshold, scored } = toolResult;
+    const brief = (card) => ({
+      title: card.title,
+      releaseDate: card.releaseDate,
+      viewCount: card.viewCount,
+      score: card.outlier.score,
+      [metric]: card.outlier.value,
+      baseline: card.outlier.baseline,
+      ratio: card.outlier.ratio,
+    });
+    return {
+      status: 'success',
+      message:
+        `Scored ${scored} videos on ${metric} against the ${window} uploads around each; ` +
+        `${breakouts.length} breakouts and ${flops.length} flops reach |score| ≥ ${threshold}` +
+        `${breakouts.length + flops.length ? ' and are shown to the user as video cards' : ''}. ` +
+        'baseline is the median of the neighbours and ratio the video against it.',
+      breakouts: breakouts.map(brief),
+      flops: flops.map(brief),
+    };
+  }
+  if (toolResult?._tableType === 'videos') {
+    const { columns, rows, matched, total } = toolResult;
+    return {
+      status: 'success',
+      message: `${matched} of ${total} videos match; the first ${rows.length} are shown to the user as a sortable table.`,
+      columns,
+      rows: rows.map((row) => columns.map((c) => row[c])),
+    };
+  }
+  if (toolResult?._chartType === 'topics') {
+    const { k, silhouette, overall, clusters, unclustered } = toolResult;
+    return {
+      status: 'success',
+      message:
+        `Found ${k} themes (silhouette ${silhouette}: 1 = cleanly separated, near 0 = overlapping). ` +
+        'A chart of the themes and the list of each theme\'s videos are now displayed to the user. ' +
+        `${unclustered ? `${unclustered} videos share no vocabulary with the rest and are left out. ` : ''}` +
+        'Describe each theme from its terms and example titles; engagement is likes per view.',
+      overall,
+      themes: clusters.map(({ id, terms, count, medianViews, medianLikesPerView, medianCommentsPerView, videos }) => ({
+        id,
+        terms,
+        count,
+        medianViews,
+        medianLikesPerView,
+        medianCommentsPerView,
+        exampleTitles: videos.slice(0, 3).map((v) => v.title),
+      })),
+    };
+  }
+  if (toolResult?._chartType === 'bar') {
+    return {
+      status: 'success',
+      message:
+        `Bar chart "${toolResult.chartTitle}" is now displayed to the user.` +
+        (toolResult.timeZone ? ` Release dates were read in ${toolResult.timeZone}.` : ''),
+      aggregate: toolResult.aggregate,
+      metric: toolResult.metric,
+      groups: toolResult.data,
+    };
+  }
+  if (toolResult?.forecast) {
+    const { model, params, confidence, cadenceDays, holdoutMae, predictions } = toolResult.forecast;
+    return {
+      status: 'success',
+      message:
+        `Chart "${toolResult.chartTitle}" is now displayed to the user: the history of ${toolResult.metric} with a dashed ${model} forecast ` +
+        `and a shaded ${confidence * 100}% prediction interval. Future uploads are assumed every ${cadenceDays} days (the median gap). ` +
+        'holdoutMae is each model\'s mean absolute error forecasting the most recent ~20% of uploads from the rest.',
+      model,
+      params,
+      holdoutMae,
+      predictions,
+    };
+  }
+  if (toolResult?._chartType) {
+    return { status: 'success', message: `Chart "${toolResult.chartTitle}" is now displayed to the user with ${toolResult.data?.length} data points. The user can enlarge and download it.` };
+  }
+  return toolResult;
+};
@@ -0,0 +1,156 @@
+import { executeJsonTool, summarizeForModel, enrichVideos } from './jsonTools';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+// One upload per `gaps[i]` days from 2024-01-01, with the given views
+const channel = (views, gaps = views.map(() => 1)) => {
+  let day = 0;
+  return views.map((viewCount, i) => {
+    if (i) day += gaps[i];
+    return {
+      videoId: `v${i}`,
+      title: `Video ${i}`,
+      releaseDate: new Date(START + day * DAY_MS).toISOString(),
+      viewCount,
+      likeCount: Math.round(viewCount / 20),
+      commentCount: 1,
+      duration: 60 * (i + 1),
+    };
+  });
+};
+
+test('play_video needs a query', () => {
+  expect(executeJsonTool('play_video', {}, channel([10, 20, 30])).error).toMatch(/needs a query/);
+});
+
+test('the play_video message for the model leaves out views the data lacks', () => {
+  const played = executeJsonTool('play_video', { query: 'Video 0' }, channel([1234]));
+  expect(summarizeForModel(played).message).toMatch(/"Video 0" \(1,234 views\)/);
+  const unknown = executeJsonTool('play_video', { query: 'Video 0' }, channel([1234]).map(({ viewCount, ...v }) => v));
+  expect(summarizeForModel(unknown).message).toMatch(/^Now showing video card for "Video 0"\. /);
+});
+
+test('query_videos returns malformed filters and fields as errors', () => {
+  const videos = channel([10, 20, 30]);
+  expect(executeJsonTool('query_videos', { filter: { ranges: [null] } }, videos).error).toMatch(/needs a "field"/);
+  expect(executeJsonTool('query_videos', { filter: { ranges: 'viewCount' } }, videos).error).toMatch(/must be a list/);
+  expect(executeJsonTool('query_videos', { filter: { ranges: [{ field: 'viewCount', min: 'lots' }] } }, videos).error).toMatch(
+    /must be numbers/
+  );
+  expect(executeJsonTool('query_videos', { fields: [1, 2] }, videos).error).toMatch(/list of field names/);
+  expect(executeJsonTool('query_videos', { fields: 'title, viewCount' }, videos).columns).toEqual(['title', 'viewCount']);
+});
+
+test('group_and_aggregate reads release dates in the given time zone', () => {
+  // 02:00 UTC on Monday 2024-01-01 is still Sunday evening in New York
+  const videos = [{ videoId: 'a', title: 'A', releaseDate: '2024-01-01T02:00:00Z', viewCount: 10 }];
+  const group = (args) => executeJsonTool('group_and_aggregate', { group_by: 'weekday', ...args }, videos);
+  expect(group().data.map((d) => d.label)).toEqual(['Mon']);
+  expect(group({ time_zone: 'America/New_York' }).data.map((d) => d.label)).toEqual(['Sun']);
+  expect(group({ time_zone: 'America/New_York', group_by: 'year' }).data.map((d) => d.label)).toEqual(['2023']);
+  expect(group({ time_zone: 'Nowhere' }).error).toMatch(/Unknown time zone/);
+});
+
+test('enrichVideos derives engagement rates, age-adjusted views and the ratio to the median', () => {
+  const now = START + 10 * DAY_MS;
+  const [first, , third] = enrichVideos(channel([100, 200, 400]), now);
+  expect(first).toMatchObject({ likesPerView: 0.05, commentsPerView: 0.01, viewsPerDay: 10, durationMinutes: 1, outlierScore: 0.5 });
+  expect(third).toMatchObject({ viewsPerDay: 50, durationMinutes: 3, outlierScore: 2 });
+  const [bare] = enrichVideos([{ videoId: 'x', viewCount: 0, likeCount: 3 }], now);
+  expect(bare).toMatchObject({ likesPerView: null, viewsPerDay: null, durationMinutes: null });
+});
+
+describe('find_outliers', () => {
+  const views = [1000, 1100, 950, 1050, 1000, 50000, 980, 1020, 1010, 990, 10, 1000, 1030];
+
+  test('scores views against the median and MAD of neighbouring uploads', () => {
+    const result = executeJsonTool('find_outliers', { window: 6 }, channel(views));
+    expect(result.breakouts.map((c) => c.videoId)).toEqual(['v5']);
+    expect(result.flops.map((c) => c.videoId)).toEqual(['v10']);
+    const { outlier } = result.breakouts[0];
+    expect(outlier.kind).toBe('breakout');
+    expect(outlier.baseline).toBeGreaterThan(950);
+    expect(outlier.baseline).toBeLessThan(1050);
+    expect(outlier.ratio).toBeGreaterThan(45);
+  });
+
+  test('takes the threshold as given and rejects one that is not positive', () => {
+    expect(executeJsonTool('find_outliers', { window: 6, threshold: 0.5 }, channel(views)).threshold).toBe(0.5);
+    expect(executeJsonTool('find_outliers', { threshold: 0 }, channel(views)).error).toMatch(/threshold must be a positive/);
+    expect(executeJsonTool('find_outliers', { threshold: -3 }, channel(views)).error).toMatch(/threshold must be a positive/);
+    expect(executeJsonTool('find_outliers', { threshold: 'high' }, channel(views)).error).toMatch(/threshold must be a positive/);
+  });
+
+  test('the MAD floor keeps near-identical neighbours from inflating scores', () => {
+    const flat = channel([1000, 1000, 1000, 1000, 1000, 1010, 1000, 1000, 1000]);
+    const result = executeJsonTool('find_outliers', {}, flat);
+    expect(result.breakouts).toEqual([]);
+    expect(result.flops).toEqual([]);
+  });
+});
+
+describe('forecast_metric', () => {
+  const forecast = (videos, args) => executeJsonTool('forecast_metric', { metric: 'viewCount', horizon: 2, ...args }, videos);
+
+  test('linear: least squares over days since the first upload', () => {
+    const result = forecast(channel([0, 1, 2, 3, 4, 5, 6, 7].map((t) => 100 + 10 * t)), { model: 'linear' });
+    expect(result.forecast.params).toEqual({ intercept: 100, slopePerDay: 10 });
+    expect(result.forecast.cadenceDays).toBe(1);
+    expect(result.forecast.predictions).toEqual([
+      { date: '2024-01-09', value: 180, lower: 180, upper: 180 },
+      { date: '2024-01-10', value: 190, lower: 190, upper: 190 },
+    ]);
+  });
+
+  test('log-linear: constant growth compounds', () => {
+    const result = forecast(channel([0, 1, 2, 3, 4, 5, 6, 7].map((t) => 1000 * Math.exp(0.01 * t))), { model: 'log_linear' });
+    expect(result.forecast.params.growthPer30Days).toBeCloseTo(Math.exp(0.3) - 1, 4);
+    expect(result.forecast.predictions[0].value).toBeCloseTo(1000 * Math.exp(0.08), 2);
+  });
+
+  test('Holt: trend per upload, whatever the gaps between them', () => {
+    const views = [500, 520, 540, 560, 580, 600, 620, 640];
+    const result = forecast(channel(views, [0, 1, 5, 2, 9, 1, 3, 4]), { model: 'holt' });
+    expect(result.forecast.params).toMatchObject({ level: 640, trendPerUpload: 20 });
+    expect(result.forecast.predictions.map((p) => p.value)).toEqual([660, 680]);
+  });
+
+  test('auto picks the model with the smallest holdout error', () => {
+    const result = forecast(channel([0, 1, 2, 3, 4, 5, 6, 7, 8, 9].map((t) => 50 * 1.3 ** t)));
+    expect(result.forecast.model).toBe('log_linear');
+    expect(result.forecast.holdoutMae.log_linear).toBeLessThan(result.forecast.holdoutMae.linear);
+  });
+
+  test('needs enough history', () => {
+    expect(forecast(channel([1, 2, 3])).error).toMatch(/at least 4 videos/);
+  });
+});
+
+test('compare_videos needs a list of at least two queries', () => {
+  const videos = channel([10, 20, 30]);
+  expect(executeJsonTool('compare_videos', { queries: 'most viewed' }, videos).error).toMatch(/at least two/);
+  expect(executeJsonTool('compare_videos', { queries: { a: 1 } }, videos).error).toMatch(/must be a list/);
+});
+
+test('search_transcripts links each hit to the moment it is said', () => {
+  const videos = channel([10, 20]).map((v, i) => ({
+    ...v,
+    videoUrl: `https://www.youtube.com/watch?v=${v.videoId}`,
+    transcript: i
+      ? [{ start: 0, duration: 5, text: 'nothing here' }]
+      : [
+          { start: 0, duration: 5, text: 'Hello and welcome.' },
+          { start: 75, duration: 5, text: 'Now the Solar  panels' },
+          { start: 80, duration: 5, text: 'on the roof.' },
+        ],
+  }));
+  const result = executeJsonTool('search_transcripts', { query: 'solar panels on' }, videos);
+  expect(result).toMatchObject({ totalHits: 1, videosSearched: 2 });
+  expect(result.hits[0]).toMatchObject({
+    videoId: 'v0',
+    videoUrl: 'https://www.youtube.com/watch?v=v0&t=75s',
+    transcriptHit: { start: 75, timestamp: '1:15', match: 'Solar panels on' },
+  });
+  expect(executeJsonTool('search_transcripts', {}, videos).error).toMatch(/needs a query/);
+});
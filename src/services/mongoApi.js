@@ -1,15 +1,77 @@
 const API = process.env.REACT_APP_API_URL || '';
 
-const api = async (path, options = {}) => {
+// ── Auth token ───────────────────────────────────────────────────────────────
+// Issued by /api/users/login and attached to every request. When the server
+// answers 401 for a request that carried a token, the token has expired, so
+// the registered handler sends the user back to the login screen.
+
+let authToken = null;
+let authExpiredHandler = null;
+
+export const setAuthToken = (token) => {
+  authToken = token || null;
+};
+
+export const onAuthExpired = (handler) => {
+  authExpiredHandler = handler;
+};
+
+export const authFetch = async (path, options = {}) => {
   const res = await fetch(`${API}${path}`, {
-    headers: { 'Content-Type': 'application/json', ...options.headers },
     ...options,
+    headers: {
+      ...(authToken && { Authorization: `Bearer ${authToken}` }),
+      ...options.headers,
+    },
+  });
+  if (res.status === 401 && authToken) authExpiredHandler?.();
+  return res;
+};
+
+export const api = async (path, options = {}) => {
+  const res = await authFetch(path, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
   });
   const text = await res.text();
   if (!res.ok) throw new Error(text || res.statusText);
   return text ? JSON.parse(text) : {};
 };
 
+// ── Server-sent events ───────────────────────────────────────────────────────
+// Yields each `data: {...}` event of a streaming response as a parsed object.
+
+export const readEventStream = async function* (res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  // Releases the stream when the consumer stops early or something throws
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        if (!line.startsWith('data: ')) continue;
+        let data;
+        try {
+          data = JSON.parse(line.slice(6));
+        } catch {
+          continue;
+        }
+        yield data;
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+};
+
 // ── Users ────────────────────────────────────────────────────────────────────
 
 export const createUser = async (username, password, email = '', firstName = '', lastName = '') => {
@@ -25,20 +87,26 @@ export const findUser = async (username, password) => {
     body: JSON.stringify({ username, password }),
   });
   return data.ok
-    ? { username: data.username, firstName: data.firstName, lastName: data.lastName }
+    ? {
+        username: data.username,
+        firstName: data.firstName,
+        lastName: data.lastName,
+        token: data.token,
+        expiresAt: data.expiresAt,
+      }
     : null;
 };
 
 // ── Sessions ─────────────────────────────────────────────────────────────────
 
-export const getSessions = async (username) => {
-  return api(`/api/sessions?username=${encodeURIComponent(username)}`);
+export const getSessions = async () => {
+  return api('/api/sessions');
 };
 
-export const createSession = async (username, agent = null, title = null) => {
+export const createSession = async (agent = null, title = null, provider = null) => {
   return api('/api/sessions', {
     method: 'POST',
-    body: JSON.stringify({ username, agent, title }),
+    body: JSON.stringify({ agent, title, provider }),
   });
 };
 
@@ -53,23 +121,165 @@ export const updateSessionTitle = async (sessionId, title) => {
   });
 };
 
+// Model provider for the session; null follows the deployment default.
+export const updateSessionProvider = async (sessionId, provider) => {
+  return api(`/api/sessions/${sessionId}/provider`, {
+    method: 'PATCH',
+    body: JSON.stringify({ provider }),
+  });
+};
+
+// { default, available } — the providers this deployment can run.
+export const getProviders = async () => {
+  return api('/api/ai/providers');
+};
+
+// ── Attachments ──────────────────────────────────────────────────────────────
+// Binary data (images, datasets) is uploaded once and referenced by id.
+
+const base64ToBlob = (data, mimeType) => {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type: mimeType });
+};
+
+const blobToBase64 = (blob) =>
+  new Promise((resolve, reject) => {
+    const r = new FileReader();
+    r.onload = () => resolve(r.result.split(',')[1]);
+    r.onerror = reject;
+    r.readAsDataURL(blob);
+  });
+
+export const uploadAttachment = async (blob, name = null) => {
+  const res = await authFetch('/api/attachments', {
+    method: 'POST',
+    headers: {
+      'Content-Type': blob.type || 'application/octet-stream',
+      ...(name && { 'X-Filename': encodeURIComponent(name) }),
+    },
+    body: blob,
+  });
+  const text = await res.text();
+  if (!res.ok) throw new Error(text || res.statusText);
+  return JSON.parse(text);
+};
+
+// Returns the attachment as inline { data (base64), mimeType }, the shape the chat renders
+export const downloadAttachment = async (id) => {
+  const res = await authFetch(`/api/attachments/${id}`);
+  if (!res.ok) throw new Error((await res.text()) || res.statusText);
+  const blob = await res.blob();
+  return { data: await blobToBase64(blob), mimeType: blob.type };
+};
+
+const storeImage = async (img) => {
+  const { id, mimeType } = await uploadAttachment(base64ToBlob(img.data, img.mimeType || 'image/png'), img.name);
+  return { attachmentId: id, mimeType };
+};
+
+const restoreImage = async (ref) => {
+  try {
+    return await downloadAttachment(ref.attachmentId);
+  } catch (err) {
+    console.warn(`[Attachments] could not restore ${ref.attachmentId}:`, err.message);
+    return null;
+  }
+};
+
 // ── Messages ─────────────────────────────────────────────────────────────────
+// Images (user uploads, generated images, code-execution plots) are uploaded as
+// attachments before the message is saved, and downloaded again on load, so a
+// reloaded session renders exactly as it did live.
+
+export const saveMessage = async (
+  sessionId,
+  role,
+  content,
+  { images = null, generatedImage = null, parts = null, charts = null, toolCalls = null, videoCards = null, tables = null, toolRoundLimit = null, route = null, citations = null } = {}
+) => {
+  const imageRefs = images?.length ? await Promise.all(images.map(storeImage)) : null;
+  const generatedRef = generatedImage ? await storeImage(generatedImage) : null;
+  const storedParts = parts?.length
+    ? await Promise.all(parts.map(async (p) => (p.type === 'image' ? { type: 'image', ...(await storeImage(p)) } : p)))
+    : null;
 
-export const saveMessage = async (sessionId, role, content, imageData = null, charts = null, toolCalls = null) => {
   return api('/api/messages', {
     method: 'POST',
-    body: JSON.stringify({ session_id: sessionId, role, content, imageData, charts, toolCalls }),
+    body: JSON.stringify({
+      session_id: sessionId,
+      role,
+      content,
+      images: imageRefs,
+      generatedImage: generatedRef,
+      parts: storedParts,
+      charts,
+      toolCalls,
+      videoCards,
+      tables,
+      toolRoundLimit,
+      route,
+      citations,
+    }),
   });
 };
 
-export const loadMessages = async (sessionId) => {
-  return api(`/api/messages?session_id=${encodeURIComponent(sessionId)}`);
+const restoreMessage = async (m) => {
+  const [images, generatedImage, parts] = await Promise.all([
+    m.images ? Promise.all(m.images.map(restoreImage)) : null,
+    m.generatedImage ? restoreImage(m.generatedImage) : null,
+    m.parts
+      ? Promise.all(m.parts.map(async (p) => (p.type === 'image' ? { type: 'image', ...(await restoreImage(p)) } : p)))
+      : null,
+  ]);
+  return {
+    ...m,
+    images: images?.filter(Boolean),
+    generatedImage: generatedImage || undefined,
+    parts: parts || undefined,
+  };
+};
+
+// Returns { messages, hasMore } — the newest page, or the page before `before`
+// (a message id) when scrolling back through history.
+export const loadMessages = async (sessionId, { before = null, limit = null } = {}) => {
+  const params = new URLSearchParams({ session_id: sessionId });
+  if (before) params.set('before', before);
+  if (limit) params.set('limit', limit);
+  const page = await api(`/api/messages?${params}`);
+  return { ...page, messages: await Promise.all(page.messages.map(restoreMessage)) };
 };
 
+// ── Datasets ─────────────────────────────────────────────────────────────────
+
+export const uploadDataset = async (kind, name, rows) => {
+  const blob = new Blob([JSON.stringify(rows)], { type: 'application/json' });
+  const { id: attachmentId } = await uploadAttachment(blob, name);
+  return api('/api/datasets', {
+    method: 'POST',
+    body: JSON.stringify({ kind, name, attachmentId, rowCount: rows.length }),
+  });
+};
+
+// A session keeps at most one dataset per kind; linking a new one replaces the old.
+export const linkDataset = (sessionId, datasetId) =>
+  api(`/api/sessions/${sessionId}/datasets`, {
+    method: 'POST',
+    body: JSON.stringify({ dataset_id: datasetId }),
+  });
+
+export const getSessionDatasets = (sessionId) => api(`/api/sessions/${sessionId}/datasets`);
+
+export const detachDataset = (sessionId, datasetId) =>
+  api(`/api/sessions/${sessionId}/datasets/${datasetId}`, { method: 'DELETE' });
+
+export const loadDatasetRows = (datasetId) => api(`/api/datasets/${datasetId}/rows`);
+
 // ── YouTube Channel Download (SSE stream) ────────────────────────────────────
 
 export const downloadChannelData = async (channelUrl, maxVideos, onProgress) => {
-  const res = await fetch(`${API}/api/youtube/channel`, {
+  const res = await authFetch('/api/youtube/channel', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ channelUrl, maxVideos }),
@@ -77,30 +287,11 @@ export const downloadChannelData = async (channelUrl, maxVideos, onProgress) =>
 
   if (!res.ok) throw new Error('Failed to start download');
 
-  const reader = res.body.getReader();
-  const decoder = new TextDecoder();
-  let buffer = '';
   let result = null;
-
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-    buffer += decoder.decode(value, { stream: true });
-
-    const lines = buffer.split('\n');
-    buffer = lines.pop() || '';
-
-    for (const line of lines) {
-      if (!line.startsWith('data: ')) continue;
-      try {
-        const data = JSON.parse(line.slice(6));
-        if (data.type === 'status') onProgress(data);
-        else if (data.type === 'error') throw new Error(data.message);
-        else if (data.type === 'result') result = data.videos;
-      } catch (e) {
-        if (e.message && !e.message.includes('JSON')) throw e;
-      }
-    }
+  for await (const data of readEventStream(res)) {
+    if (data.type === 'status') onProgress(data);
+    else if (data.type === 'error') throw new Error(data.message);
+    else if (data.type === 'result') result = data.videos;
   }
 
   return result;
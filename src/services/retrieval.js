@@ -0,0 +1,141 @@
+import { transcriptSegments, formatTimestamp, videoUrlAt } from './jsonTools.js';
+
+// ── Passage retrieval ────────────────────────────────────────────────────────
+// A BM25 index over the loaded videos' transcripts and descriptions, built when
+// the channel JSON loads. Each question pulls the best-matching passages into
+// the prompt as numbered sources, and the answer cites them as [1], [2] …
+// linking to the video at the passage's timestamp.
+
+const CHUNK_WORDS = 120;
+const K1 = 1.2;
+const B = 0.75;
+const DEFAULT_PASSAGES = 6;
+const MAX_PER_VIDEO = 3;
+// Relevance floor, so small talk doesn't pull in sources. The best passage has
+// to score MIN_SCORE, about one occurrence of a term found in one passage in 20;
+// a small index can't score that high, so there it needs MIN_TOP_SHARE of an
+// occurrence of a term found in a single passage. The others need MIN_RELATIVE
+// of the best one.
+const MIN_SCORE = 3;
+const MIN_TOP_SHARE = 0.9;
+const MIN_RELATIVE = 0.5;
+
+const STOP_WORDS = new Set(
+  ('a an the and or but if of to in on at by for with from as is are was were be been being do does did ' +
+    'i me my we our you your he him his she her it its they them their this that these those there here ' +
+    'what which who whom when where why how not no so than then too very can will just about into out ' +
+    'up down over under again more most some any all each other such only own same has have had ' +
+    // small talk, which says nothing about content
+    'hi hello hey thanks thank please ok okay cool yes yeah sure lol everyone guys')
+    .split(' ')
+);
+
+const tokenize = (text) =>
+  (String(text).toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'’]*/gu) || []).filter((w) => !STOP_WORDS.has(w));
+
+const wordCount = (text) => (text.match(/\S+/g) || []).length;
+
+// Transcript passages of ~CHUNK_WORDS words, each starting at its first segment
+function transcriptPassages(video) {
+  const passages = [];
+  let current = null;
+  for (const seg of transcriptSegments(video)) {
+    if (!current) current = { start: seg.start, text: '' };
+    current.text += `${seg.text} `;
+    if (wordCount(current.text) >= CHUNK_WORDS) {
+      passages.push(current);
+      current = null;
+    }
+  }
+  if (current) passages.push(current);
+  // An untimed (plain-string) transcript is one segment; split it by words instead
+  return passages.flatMap((p) =>
+    p.start == null ? wordWindows(p.text).map((text) => ({ start: null, text })) : [{ ...p, text: p.text.trim() }]
+  );
+}
+
+function wordWindows(text) {
+  const words = text.match(/\S+/g) || [];
+  const windows = [];
+  for (let i = 0; i < words.length; i += CHUNK_WORDS) windows.push(words.slice(i, i + CHUNK_WORDS).join(' '));
+  return windows;
+}
+
+export function buildPassageIndex(videos) {
+  const passages = [];
+  for (const v of videos) {
+    const base = { videoId: v.videoId, title: v.title || '', videoUrl: v.videoUrl || null };
+    for (const p of transcriptPassages(v)) passages.push({ ...base, source: 'transcript', start: p.start, text: p.text });
+    for (const text of wordWindows(v.description || '')) passages.push({ ...base, source: 'description', start: null, text });
+  }
+
+  const docs = passages.map((p) => {
+    const terms = new Map();
+    const tokens = tokenize(`${p.title} ${p.text}`);
+    for (const t of tokens) terms.set(t, (terms.get(t) || 0) + 1);
+    return { terms, length: tokens.length };
+  });
+  const df = new Map();
+  for (const { terms } of docs) for (const t of terms.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const avgLength = docs.reduce((a, d) => a + d.length, 0) / (docs.length || 1);
+
+  return { passages, docs, df, avgLength };
+}
+
+// Best passages for a question, at most MAX_PER_VIDEO from one video: [{ ...passage, score }].
+// Empty when nothing clears the relevance floor.
+export function retrievePassages(index, query, limit = DEFAULT_PASSAGES) {
+  if (!index?.passages.length) return [];
+  const terms = [...new Set(tokenize(query))].filter((t) => index.df.has(t));
+  if (!terms.length) return [];
+
+  const n = index.passages.length;
+  const idf = Object.fromEntries(terms.map((t) => [t, Math.log(1 + (n - index.df.get(t) + 0.5) / (index.df.get(t) + 0.5))]));
+  const scored = [];
+  index.docs.forEach((doc, i) => {
+    let score = 0;
+    for (const t of terms) {
+      const tf = doc.terms.get(t);
+      if (!tf) continue;
+      score += (idf[t] * tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * doc.length) / index.avgLength));
+    }
+    if (score > 0) scored.push({ ...index.passages[i], score });
+  });
+  scored.sort((a, b) => b.score - a.score);
+
+  const rareTermScore = Math.log(1 + (n - 0.5) / 1.5);
+  if (!scored.length || scored[0].score < Math.min(MIN_SCORE, MIN_TOP_SHARE * rareTermScore)) return [];
+  const floor = MIN_RELATIVE * scored[0].score;
+
+  const perVideo = new Map();
+  return scored
+    .filter((p) => {
+      if (p.score < floor) return false;
+      const count = perVideo.get(p.videoId) || 0;
+      perVideo.set(p.videoId, count + 1);
+      return count < MAX_PER_VIDEO;
+    })
+    .slice(0, limit);
+}
+
+// Numbered citations for the retrieved passages: [{ n, videoId, title, url, timestamp, source }]
+export const passageCitations = (passages) =>
+  passages.map((p, i) => ({
+    n: i + 1,
+    videoId: p.videoId,
+    title: p.title,
+    url: videoUrlAt(p, p.start),
+    timestamp: p.start == null ? null : formatTimestamp(p.start),
+    source: p.source,
+  }));
+
+// Context block that hands the passages to the model
+export const passagesBlock = (passages) =>
+  '[Sources — passages from the channel\'s transcripts and descriptions that match this question. ' +
+  'Base content answers on them and cite each one you use inline as [1], [2] etc.; say so if they don\'t answer it.]\n\n' +
+  passages
+    .map((p, i) => {
+      const where = p.source === 'transcript' ? `transcript${p.start == null ? '' : ` at ${formatTimestamp(p.start)}`}` : 'description';
+      return `[${i + 1}] "${p.title}" (${where}):\n${p.text}`;
+    })
+    .join('\n\n');
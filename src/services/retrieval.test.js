@@ -0,0 +1,63 @@
+import { buildPassageIndex, retrievePassages, passageCitations } from './retrieval';
+
+const FILLER = 'we walked through the lab and measured everything twice before lunch';
+
+// `count` videos of filler talk, one passage per minute; the topics map puts a subject into minute 2 of some of them
+const SEGMENT = Array(10).fill(FILLER).join(' ');
+const channel = (count, topics = {}) =>
+  Array.from({ length: count }, (_, i) => ({
+    videoId: `v${i}`,
+    title: `Episode ${i}`,
+    videoUrl: `https://www.youtube.com/watch?v=v${i}`,
+    description: '',
+    transcript: [0, 1, 2, 3].map((s) => ({
+      start: s * 60,
+      duration: 60,
+      text: s === 2 && topics[i] ? `${SEGMENT} ${topics[i]}` : `${SEGMENT} episode ${i} part ${s}`,
+    })),
+  }));
+
+test('ranks the passage where the rare query terms occur first', () => {
+  const index = buildPassageIndex(
+    channel(30, { 4: 'asbestos fibres asbestos insulation', 9: 'asbestos insulation panels', 12: 'insulation foam' })
+  );
+  const hits = retrievePassages(index, 'what did they say about asbestos insulation?');
+  expect(hits[0]).toMatchObject({ videoId: 'v4', source: 'transcript', start: 120 });
+  // v12 only shares the commoner term and falls below half the best score
+  expect(hits.map((h) => h.videoId)).toEqual(['v4', 'v9']);
+  expect(hits[0].score).toBeGreaterThan(hits[1].score);
+});
+
+test('small talk and common words bring in no passages', () => {
+  const index = buildPassageIndex(channel(30, { 4: 'thanks everyone for watching' }));
+  expect(retrievePassages(index, 'hi, thanks!')).toEqual([]);
+  expect(retrievePassages(index, 'what did we measure in the lab?')).toEqual([]);
+  expect(retrievePassages(index, 'zebra')).toEqual([]);
+});
+
+test('keeps passages far below the best one out', () => {
+  const index = buildPassageIndex(channel(30, { 4: 'volcano volcano eruption lava magma', 7: 'lava lamp' }));
+  expect(retrievePassages(index, 'volcano eruption lava').map((h) => h.videoId)).toEqual(['v4']);
+});
+
+test('takes at most three passages from one video', () => {
+  const videos = channel(20);
+  videos[3].transcript = Array.from({ length: 8 }, (_, s) => ({ start: s * 60, duration: 60, text: `gravity waves ${FILLER}`.repeat(8) }));
+  videos[5].transcript[1].text = `gravity waves ${FILLER}`.repeat(8);
+  const hits = retrievePassages(buildPassageIndex(videos), 'gravity waves');
+  expect(hits.filter((h) => h.videoId === 'v3')).toHaveLength(3);
+  expect(hits.map((h) => h.videoId)).toContain('v5');
+});
+
+test('citations link to the passage timestamp', () => {
+  const index = buildPassageIndex(channel(30, { 4: 'asbestos fibres asbestos insulation' }));
+  const [citation] = passageCitations(retrievePassages(index, 'asbestos'));
+  expect(citation).toEqual({
+    n: 1,
+    videoId: 'v4',
+    title: 'Episode 4',
+    url: 'https://www.youtube.com/watch?v=v4&t=120s',
+    timestamp: '2:00',
+    source: 'transcript',
+  });
+});
@@ -0,0 +1,166 @@
+import { CSV_TOOL_DECLARATIONS, executeTool } from './csvTools.js';
+import { JSON_TOOL_DECLARATIONS, executeJsonTool, summarizeForModel } from './jsonTools.js';
+import {
+  ANALYSIS_TOOL_DECLARATIONS,
+  analysisDatasetKind,
+  executeAnalysisTool,
+  summarizeAnalysisResult,
+} from './analysisTools.js';
+
+// ── Tool registry ────────────────────────────────────────────────────────────
+// Every function the model can call in one turn: CSV (tweet) tools, YouTube
+// JSON tools, analysis tools that take either dataset, image generation, and
+// web search / Python, which the backend runs itself. Each tool belongs to a
+// source, and executeRegisteredTool sends a call to the dataset its source
+// refers to — so one answer can mix all of them.
+
+export const IMAGE_TOOL_DECLARATIONS = [
+  {
+    name: 'generateImage',
+    description:
+      'Generate an image from a text prompt. If the user has dragged in an anchor/reference image, it will be used as a base. ' +
+      'Call this when the user asks to generate, create, or make an image, picture, illustration, or artwork. ' +
+      'Returns the generated image to display in the chat.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        prompt: {
+          type: 'STRING',
+          description: 'Detailed text description of the image to generate.',
+        },
+      },
+      required: ['prompt'],
+    },
+  },
+];
+
+// Google Search and code execution can't be combined with function declarations
+// in one Gemini request, so they are offered as functions and run server-side.
+export const SERVER_TOOL_DECLARATIONS = [
+  {
+    name: 'web_search',
+    description:
+      'Search the web with Google for current or external information that is not in the loaded data — news, facts, other channels, trends. ' +
+      'Returns a short answer and its sources, which are shown to the user.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        query: { type: 'STRING', description: 'The search query.' },
+      },
+      required: ['query'],
+    },
+  },
+  {
+    name: 'run_python',
+    description:
+      'Write and run Python (pandas, numpy, matplotlib) for analysis the other tools cannot do — histograms, multiple regression, custom models and plots. ' +
+      'The loaded CSV and/or YouTube JSON data is attached to the run as files. ' +
+      'The code, its output and any plots are shown to the user.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        task: {
+          type: 'STRING',
+          description: 'What the code should compute or plot, in plain language, including the exact column or field names to use.',
+        },
+      },
+      required: ['task'],
+    },
+  },
+];
+
+// Transcript summaries take model calls and are cached in the database, so they
+// run on the server against the stored channel JSON (server/summaries.js).
+export const SUMMARY_TOOL_DECLARATIONS = [
+  {
+    name: 'summarize_video',
+    description:
+      'Summarize one video of the loaded channel from its transcript: a short summary, its key topics and a chapter list with timestamps. ' +
+      'The video is identified the same way as for play_video (title words, ordinal, or "most viewed" / "newest" etc.). ' +
+      'Summaries are cached, so asking again is free. Shown to the user as a card whose chapters open the video at that moment. ' +
+      'Use this for "summarize / what is X about / give me chapters for X".',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        query: {
+          type: 'STRING',
+          description: 'How the user identified the video: a title fragment, ordinal like "first"/"third"/"last", or "most viewed"/"newest".',
+        },
+      },
+      required: ['query'],
+    },
+  },
+];
+
+const TOOLSETS = [
+  { source: 'csv', declarations: CSV_TOOL_DECLARATIONS },
+  { source: 'json', declarations: JSON_TOOL_DECLARATIONS },
+  { source: 'summary', declarations: SUMMARY_TOOL_DECLARATIONS },
+  { source: 'analysis', declarations: ANALYSIS_TOOL_DECLARATIONS },
+  { source: 'image', declarations: IMAGE_TOOL_DECLARATIONS },
+  { source: 'server', declarations: SERVER_TOOL_DECLARATIONS },
+];
+
+// Tool name → 'csv' | 'json' | 'summary' | 'analysis' | 'image' | 'server'
+export const TOOL_SOURCE = Object.fromEntries(
+  TOOLSETS.flatMap(({ source, declarations }) => declarations.map((d) => [d.name, source]))
+);
+
+// Declarations for a turn: dataset tools only for the datasets that are loaded
+// (analysis tools for either); image generation, web search and Python are always available.
+const SOURCE_NEEDS = {
+  csv: ({ csv }) => csv,
+  json: ({ json }) => json,
+  summary: ({ json }) => json,
+  analysis: ({ csv, json }) => csv || json,
+};
+
+export const toolDeclarations = ({ csv = false, json = false } = {}) =>
+  TOOLSETS
+    .filter(({ source }) => SOURCE_NEEDS[source]?.({ csv, json }) ?? true)
+    .flatMap(({ declarations }) => declarations);
+
+// The dataset a call reads: 'csv' | 'json' | null for tools that need none.
+export const toolDataset = (name, args) => {
+  const source = TOOL_SOURCE[name];
+  if (source === 'csv' || source === 'json') return source;
+  if (source === 'summary') return 'json';
+  if (source === 'analysis') return analysisDatasetKind(args);
+  return null;
+};
+
+// ── Single executor ──────────────────────────────────────────────────────────
+// Runs a csv / json / analysis / image call and returns { result, modelResult }: `result`
+// is what the chat renders, `modelResult` is what Gemini sees.
+
+export const executeRegisteredTool = (name, args, { csvRows = null, jsonRows = null } = {}) => {
+  switch (TOOL_SOURCE[name]) {
+    case 'csv': {
+      if (!csvRows) return errorResult('No CSV data is loaded.');
+      const result = executeTool(name, args, csvRows);
+      return { result, modelResult: result };
+    }
+    case 'json': {
+      if (!jsonRows) return errorResult('No YouTube channel JSON is loaded.');
+      const result = executeJsonTool(name, args, jsonRows);
+      return { result, modelResult: summarizeForModel(result) };
+    }
+    case 'analysis': {
+      const result = executeAnalysisTool(name, args, { csvRows, jsonRows });
+      return { result, modelResult: summarizeAnalysisResult(result) };
+    }
+    case 'image':
+      return {
+        result: { _actionType: 'generateImage', prompt: args.prompt },
+        modelResult: { status: 'success', message: 'Image is being generated and will be displayed to the user.' },
+      };
+    case 'summary':
+      return errorResult(`${name} runs on the server, which doesn't have this channel JSON — load the file again to upload it.`);
+    case 'server':
+      return errorResult(`${name} runs on the server.`);
+    default:
+      return errorResult(`Unknown tool: ${name}`);
+  }
+};
+
+const errorResult = (error) => ({ result: { error }, modelResult: { error } });
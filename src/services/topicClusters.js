@@ -0,0 +1,205 @@
+// ── Topic clustering ─────────────────────────────────────────────────────────
+// Groups documents (a video's title, description and transcript) by what they
+// talk about, without a model: TF-IDF vectors over the channel's own
+// vocabulary, then spherical k-means (cosine similarity) seeded with k-means++.
+// With no k given, every k from 2 up is tried and the one with the best
+// simplified silhouette (distance to the own centroid against the nearest other
+// one) wins, over a few restarts per k. Seeding uses a fixed-seed generator, so
+// the same data always gives the same clusters.
+
+const MIN_TOKEN = /[\p{L}\p{N}][\p{L}\p{N}'’-]{2,}/gu;
+const MAX_VOCABULARY = 3000;
+const MAX_DOC_TERMS = 100; // a document keeps its strongest terms, which also bounds the k-means cost
+const MAX_DOC_SHARE = 0.5; // terms in more than half the documents say nothing about topics
+const MAX_ITERATIONS = 30;
+const MAX_AUTO_K = 8;
+const RESTARTS = 5; // k-means runs per k from different seeds; the best silhouette counts
+const MIN_PER_CLUSTER = 3;
+export const MAX_K = 12;
+const LABEL_TERMS = 6;
+
+const STOP_WORDS = new Set(
+  ('the and for with you your this that from are was were have has had not but all any can will just into out ' +
+    'about how what when why who which its it\'s our their they them then than there here more most very so too ' +
+    'get got one two new via amp http https www com also been being did does doing don\'t i\'m you\'re we\'re ' +
+    'that\'s there\'s let\'s like know going really right yeah okay well actually thing things lot kind sort ' +
+    'gonna want need make made see look say said think time way because would could should something ' +
+    'video videos channel subscribe watch watching link links description comment comments below today')
+    .split(' ')
+);
+
+const tokenize = (text) =>
+  (String(text || '').toLowerCase().match(MIN_TOKEN) || []).filter((w) => !STOP_WORDS.has(w) && !/^[\d'’-]+$/.test(w));
+
+// Deterministic PRNG (mulberry32) for the k-means++ seeding
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Unit-length sparse TF-IDF vectors ([{ i, w }] by term index, at most
+// MAX_DOC_TERMS each) and the vocabulary. Term frequency is sublinear
+// (1 + ln tf) so a word repeated through one transcript doesn't swamp the rest.
+function tfidfVectors(texts) {
+  const counts = texts.map((text) => {
+    const tf = new Map();
+    for (const t of tokenize(text)) tf.set(t, (tf.get(t) || 0) + 1);
+    return tf;
+  });
+  const df = new Map();
+  for (const tf of counts) for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+
+  const maxDf = Math.max(2, Math.floor(texts.length * MAX_DOC_SHARE));
+  const vocabulary = [...df.entries()]
+    .filter(([, n]) => n >= 2 && n <= maxDf)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_VOCABULARY)
+    .map(([t]) => t);
+  const index = new Map(vocabulary.map((t, i) => [t, i]));
+
+  const vectors = counts.map((tf) => {
+    const entries = [];
+    for (const [t, n] of tf) {
+      if (!index.has(t)) continue;
+      entries.push({ i: index.get(t), w: (1 + Math.log(n)) * Math.log(texts.length / df.get(t)) });
+    }
+    entries.sort((a, b) => b.w - a.w).splice(MAX_DOC_TERMS);
+    const norm = Math.hypot(...entries.map((e) => e.w));
+    return norm ? entries.map((e) => ({ i: e.i, w: e.w / norm })) : [];
+  });
+  return { vectors, vocabulary };
+}
+
+const dot = (vector, centroid) => vector.reduce((sum, { i, w }) => sum + w * centroid[i], 0);
+
+function normalize(centroid) {
+  const norm = Math.hypot(...centroid);
+  if (norm) for (let i = 0; i < centroid.length; i++) centroid[i] /= norm;
+  return centroid;
+}
+
+const toDense = (vector, size) => {
+  const dense = new Float64Array(size);
+  for (const { i, w } of vector) dense[i] = w;
+  return dense;
+};
+
+// k-means++: each further seed is picked with probability ∝ its squared distance to the nearest seed
+function seedCentroids(vectors, k, size, random) {
+  const centroids = [toDense(vectors[Math.floor(random() * vectors.length)], size)];
+  while (centroids.length < k) {
+    const distances = vectors.map((v) => Math.max(0, 1 - Math.max(...centroids.map((c) => dot(v, c)))) ** 2);
+    const total = distances.reduce((a, b) => a + b, 0);
+    if (!total) break;
+    let r = random() * total;
+    let pick = distances.findIndex((d) => (r -= d) <= 0);
+    if (pick < 0) pick = distances.length - 1;
+    centroids.push(toDense(vectors[pick], size));
+  }
+  return centroids;
+}
+
+const nearest = (sims) => sims.indexOf(Math.max(...sims));
+
+function kMeans(vectors, k, size, random) {
+  const centroids = seedCentroids(vectors, k, size, random);
+  const assignments = new Array(vectors.length).fill(-1);
+
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    const similarities = vectors.map((v) => centroids.map((c) => dot(v, c)));
+    let changed = false;
+    for (let d = 0; d < vectors.length; d++) {
+      const c = nearest(similarities[d]);
+      if (c !== assignments[d]) changed = true;
+      assignments[d] = c;
+    }
+    if (!changed) break;
+
+    for (let ci = 0; ci < centroids.length; ci++) centroids[ci] = new Float64Array(size);
+    for (let d = 0; d < vectors.length; d++) {
+      for (const { i, w } of vectors[d]) centroids[assignments[d]][i] += w;
+    }
+    centroids.forEach(normalize);
+
+    // An emptied cluster restarts at the document its centroid fits worst
+    for (let ci = 0; ci < centroids.length; ci++) {
+      if (assignments.includes(ci)) continue;
+      let worst = 0;
+      for (let d = 1; d < vectors.length; d++) {
+        if (similarities[d][assignments[d]] < similarities[worst][assignments[worst]]) worst = d;
+      }
+      centroids[ci] = toDense(vectors[worst], size);
+      assignments[worst] = ci;
+    }
+  }
+  return { assignments, centroids };
+}
+
+// Mean of (b − a) / max(a, b), where a is a document's cosine distance to its own
+// centroid and b to the nearest other one
+function silhouette(vectors, { assignments, centroids }) {
+  const scores = vectors.map((v, d) => {
+    const distances = centroids.map((c) => 1 - dot(v, c));
+    const a = distances[assignments[d]];
+    const b = Math.min(...distances.filter((_, ci) => ci !== assignments[d]));
+    return Math.max(a, b) ? (b - a) / Math.max(a, b) : 0;
+  });
+  return scores.reduce((s, x) => s + x, 0) / (scores.length || 1);
+}
+
+// texts: one string per document. Resolves k (given, or the best silhouette
+// between 2 and MAX_AUTO_K) and returns
+//   { k, silhouette, assignments, clusters: [{ terms }] }
+// where assignments[d] is the cluster of document d, or -1 when it has none of
+// the shared vocabulary. Clusters are ordered largest first. Null when there are
+// too few usable documents to split.
+export function clusterDocuments(texts, { k = null, seed = 1 } = {}) {
+  const { vectors, vocabulary } = tfidfVectors(texts);
+  const usable = vectors.map((v, d) => (v.length ? d : -1)).filter((d) => d >= 0);
+  const docs = usable.map((d) => vectors[d]);
+  const maxK = Math.min(MAX_K, Math.floor(docs.length / MIN_PER_CLUSTER));
+  if (maxK < 2) return null;
+
+  const candidates = k
+    ? [Math.max(2, Math.min(Math.round(k), maxK))]
+    : Array.from({ length: Math.min(MAX_AUTO_K, maxK) - 1 }, (_, i) => i + 2);
+  // Picking k, a run with a cluster of fewer than MIN_PER_CLUSTER documents only counts when nothing else does
+  let best = null;
+  const random = seededRandom(seed);
+  for (const candidate of candidates) {
+    for (let restart = 0; restart < RESTARTS; restart++) {
+      const run = kMeans(docs, candidate, vocabulary.length, random);
+      const sizes = run.centroids.map((_, ci) => run.assignments.filter((a) => a === ci).length);
+      const scored = { ...run, k: candidate, score: silhouette(docs, run), small: !k && Math.min(...sizes) < MIN_PER_CLUSTER };
+      if (!best || (best.small && !scored.small) || (best.small === scored.small && scored.score > best.score)) best = scored;
+    }
+  }
+
+  const sizes = best.centroids.map((_, ci) => best.assignments.filter((a) => a === ci).length);
+  const order = sizes.map((_, ci) => ci).sort((a, b) => sizes[b] - sizes[a]).filter((ci) => sizes[ci]);
+  const rank = new Map(order.map((ci, r) => [ci, r]));
+
+  const assignments = new Array(texts.length).fill(-1);
+  usable.forEach((d, u) => {
+    assignments[d] = rank.get(best.assignments[u]);
+  });
+  // A cluster is labelled by the terms that weigh more in it than in the others on average
+  const clusters = order.map((ci) => {
+    const centroid = best.centroids[ci];
+    const others = order.filter((o) => o !== ci).map((o) => best.centroids[o]);
+    const distinct = (i) => centroid[i] - others.reduce((s, c) => s + c[i], 0) / (others.length || 1);
+    const terms = [...centroid.keys()]
+      .filter((i) => centroid[i] > 0)
+      .sort((a, b) => distinct(b) - distinct(a))
+      .slice(0, LABEL_TERMS)
+      .map((i) => vocabulary[i]);
+    return { terms };
+  });
+  return { k: clusters.length, silhouette: +best.score.toFixed(3), assignments, clusters };
+}
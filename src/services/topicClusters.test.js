@@ -0,0 +1,32 @@
+import { clusterDocuments } from './topicClusters';
+
+const COOKING = ['pasta sauce garlic tomato basil', 'bread dough yeast oven flour', 'garlic butter oven roast chicken', 'tomato soup basil bread', 'pasta dough flour eggs'];
+const CODING = ['javascript compiler bug stack trace', 'python script debugging compiler', 'react component javascript hooks', 'python types compiler errors', 'debugging react stack trace'];
+const texts = [...COOKING, ...CODING].map((t, i) => `${t} video ${i}`);
+
+test('finds two clearly separate topics without being told k', () => {
+  const result = clusterDocuments(texts);
+  expect(result.k).toBe(2);
+  expect(result.silhouette).toBeGreaterThan(0);
+  const [cooking, coding] = [result.assignments.slice(0, 5), result.assignments.slice(5)];
+  expect(new Set(cooking).size).toBe(1);
+  expect(new Set(coding).size).toBe(1);
+  expect(cooking[0]).not.toBe(coding[0]);
+  // "video" is in every document and so labels nothing
+  expect(result.clusters.flatMap((c) => c.terms)).not.toContain('video');
+});
+
+test('gives the same clusters for the same data and seed', () => {
+  expect(clusterDocuments(texts, { k: 3, seed: 7 })).toEqual(clusterDocuments(texts, { k: 3, seed: 7 }));
+});
+
+test('uses a given k, capped by the number of documents', () => {
+  expect(clusterDocuments(texts, { k: 3 }).k).toBe(3);
+  expect(clusterDocuments(texts, { k: 12 }).k).toBeLessThanOrEqual(3);
+});
+
+test('marks documents with none of the shared vocabulary and needs enough of the rest', () => {
+  const result = clusterDocuments([...texts, '']);
+  expect(result.assignments[10]).toBe(-1);
+  expect(clusterDocuments(texts.slice(0, 5))).toBeNull();
+});